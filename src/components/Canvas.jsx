@@ -1,18 +1,58 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import ZoomControls from '../helpers/ZoomControls';
+import SceneMenu from '../helpers/SceneMenu';
+import ExportDialog from '../helpers/ExportDialog';
+import HistoryControls from '../helpers/HistoryControls';
+import HistoryPanel from '../helpers/HistoryPanel';
+import PropertiesPanel from '../helpers/PropertiesPanel';
 import { getCursorType, formatCursorPosition } from '../helpers/CursorHelper';
-import { handleMouseDown, handleMouseMove, handleMouseUp, handleWheel, handleDoubleClick, handleKeyDown } from '../helpers/canvasEvents/';
+import {
+  handleMouseDown,
+  handleMouseMove,
+  handleMouseUp,
+  handleTouchStart,
+  handleTouchMove,
+  handleTouchEnd,
+  createTouchGesture,
+  handleWheel,
+  handleDoubleClick,
+  handleKeyDown
+} from '../helpers/canvasEvents/';
 import { drawAll } from '../helpers/drawUtils';
 import { setupCanvas, getCanvasCoordinates } from '../helpers/canvasUtils/';
-import { DRAWING_COLOR } from '../helpers/drawingTools';
-import { handleClickDeselection, handleDocumentDeselection } from '../helpers/selectionUtils';
+import {
+  DEFAULT_SHAPE_STYLE,
+  getStyleProps,
+  applyShapeStyle,
+  drawShape,
+  createRectangle,
+  createCircle,
+  createPencil,
+  createLine,
+  createArrow,
+  createPolygon,
+  createImage
+} from '../helpers/drawingTools';
+import { describeStyleChange } from '../helpers/historyUtils';
+import { handleClickDeselection, handleDocumentDeselection, getSelectedShapes } from '../helpers/selectionUtils';
+import useHistory from '../hooks/useHistory';
+import { loadScene, saveScene, flushScene, createSceneDocument, saveSceneFile, openSceneFile, pickFile } from '../helpers/sceneUtils';
+import { getImageFiles, readImageFile, onImageLoad, pruneImageCache, IMAGE_FILE_ACCEPT } from '../helpers/imageUtils';
 
 // Import from shapeUtils folder
 import {
   isPointInShape,
   getShapeBoundingBox,
   getResizeHandle,
-  getShapeResizeHandles
+  getShapeResizeHandles,
+  supportsColor,
+  supportsFill,
+  supportsStroke,
+  supportsArrowheads,
+  supportsSides,
+  supportsCornerRadius,
+  supportsSmoothing,
+  ERASER_RADIUS
 } from '../helpers/shapeUtils';
 
 // Import from the textutils folder
@@ -27,17 +67,44 @@ import {
   handleEditTextClick as handleEditTextClickGlobal
 } from '../helpers/textutils';
 
-function Canvas({ activeTool, setActiveTool }) {
+// Delay (ms) after the last change before the scene is autosaved
+const AUTOSAVE_DELAY = 500;
+
+// Tools that don't draw anything, so they have no style to show in the properties panel
+const NON_DRAWING_TOOLS = ['select', 'lasso', 'eraser'];
+
+// Several images added at once are fanned out by this much (scene units) so none hides another
+const IMAGE_STACK_OFFSET = 24;
+
+function Canvas({ activeTool, setActiveTool, isDarkMode }) {
   const canvasRef = useRef(null);
   const originalShapePos = useRef(null);
   const originalCanvasOffset = useRef(null);
   const resizeStartPoint = useRef(null);
+  // Selected shapes and their bounds when a multi-selection move or resize started
+  const originalSelection = useRef(null);
+  // Id reserved for the shape being drawn, so its preview and the added shape look the same
+  const drawingShapeId = useRef(null);
   const userDeselected = useRef(false);
   const isHandlingMouseRelease = useRef(false);
   const prevShapesCountRef = useRef(0);
+  const hasRestoredScene = useRef(false);
+  const latestSceneRef = useRef(null);
+  const isPickingImage = useRef(false);
+  // Latest handler for a picked image, so the picker effect only reruns when the tool changes
+  const insertPickedImage = useRef(null);
+  const touchGesture = useRef(createTouchGesture());
+  const previousTool = useRef(activeTool);
 
   const [shapes, setShapes] = useState([]);
-  const [selectedShape, setSelectedShape] = useState(null);
+  // The selection is a set of shape ids. selectedShape is the selected shape when there is
+  // exactly one, which is what single-shape handles and text editing work on.
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selectedGroup = useMemo(() => getSelectedShapes(shapes, selectedIds), [shapes, selectedIds]);
+  const selectedShape = selectedGroup.length === 1 ? selectedGroup[0] : null;
+  const setSelectedShape = useCallback((shape) => setSelectedIds(shape ? [shape.id] : []), []);
+  // Selection rectangle being dragged out in select mode, {start, end} in scene coordinates
+  const [selectionBox, setSelectionBox] = useState(null);
   const [resizeHandle, setResizeHandle] = useState(null);
   const [zoomLevel, setZoomLevel] = useState(1);
   const [canvasOffset, setCanvasOffset] = useState({ x: 0, y: 0 });
@@ -48,7 +115,14 @@ function Canvas({ activeTool, setActiveTool }) {
   const [isEditingText, setIsEditingText] = useState(false);
   const [textPosition, setTextPosition] = useState(null);
 
-  const [undoHistory, setUndoHistory] = useState([]);
+  // Style used for new shapes
+  const [shapeStyle, setShapeStyle] = useState(DEFAULT_SHAPE_STYLE);
+
+  // Bumped whenever an image finishes loading, so the canvas redraws with it
+  const [imageLoadCount, setImageLoadCount] = useState(0);
+
+  const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
+  const [isHistoryPanelOpen, setIsHistoryPanelOpen] = useState(false);
 
   // Drawing and drag state
   const [isDrawing, setIsDrawing] = useState(false);
@@ -58,6 +132,18 @@ function Canvas({ activeTool, setActiveTool }) {
   const [isMovingShape, setIsMovingShape] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
 
+  const {
+    recordHistory,
+    endHistoryChange,
+    undo: undoHistory,
+    redo: redoHistory,
+    jumpToHistory,
+    undoStack,
+    redoStack,
+    canUndo,
+    canRedo
+  } = useHistory(shapes, setShapes);
+
   // Define text handling functions at the top before they're used
   const handleTextInput = (e) => {
     handleTextInputGlobal(
@@ -91,10 +177,11 @@ function Canvas({ activeTool, setActiveTool }) {
       shapes, 
       setShapes, 
       setSelectedShape, 
-      setUndoHistory,
+      recordHistory,
       setIsTypingText,
       setIsEditingText,
-      setActiveTool
+      setActiveTool,
+      shapeStyle
     );
     
     // Only switch to select mode if explicitly requested
@@ -115,6 +202,124 @@ function Canvas({ activeTool, setActiveTool }) {
     );
   };
 
+  // Save the scene and viewport as a .kalidraw file
+  const handleSaveSceneFile = () => {
+    saveSceneFile(shapes, { zoomLevel, canvasOffset });
+  };
+
+  // Replace the scene with the contents of a .kalidraw file
+  const handleOpenSceneFile = async () => {
+    try {
+      const scene = await openSceneFile();
+      if (!scene) return;
+
+      // Don't auto-select the last loaded shape
+      userDeselected.current = true;
+      setSelectedShape(null);
+      recordHistory('Open file');
+      setShapes(scene.shapes);
+      setZoomLevel(scene.appState.zoomLevel);
+      setCanvasOffset(scene.appState.canvasOffset);
+
+      if (scene.skipped.length > 0) {
+        window.alert(`${scene.skipped.length} invalid shape(s) in this file were skipped.`);
+      }
+    } catch (error) {
+      console.error("Failed to open scene file:", error);
+      window.alert(`Could not open file: ${error.message}`);
+    }
+  };
+
+  // Scene point at the middle of the visible canvas
+  const getViewportCenter = () => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: rect.width / 2 / zoomLevel - canvasOffset.x,
+      y: rect.height / 2 / zoomLevel - canvasOffset.y
+    };
+  };
+
+  // Add image files (pasted, dropped or picked) as image shapes centered on a scene point
+  const insertImageFiles = async (files, center) => {
+    if (files.length === 0) return;
+
+    try {
+      const images = await Promise.all(files.map(readImageFile));
+      const newShapes = images.map((image, index) => ({
+        ...createImage(image, {
+          x: center.x + index * IMAGE_STACK_OFFSET,
+          y: center.y + index * IMAGE_STACK_OFFSET
+        }, shapeStyle),
+        id: Date.now() + Math.random().toString(36).substr(2, 9)
+      }));
+
+      recordHistory(newShapes.length === 1 ? 'Add image' : `Add ${newShapes.length} images`);
+      setShapes(prev => [...prev, ...newShapes]);
+      setSelectedShape(newShapes[newShapes.length - 1]);
+    } catch (error) {
+      console.error("Failed to add image:", error);
+      window.alert(`Could not add image: ${error.message}`);
+    }
+  };
+  insertPickedImage.current = (file) => insertImageFiles([file], getViewportCenter());
+
+  // Only accept drags that carry files, so the drop cursor shows
+  const handleDragOver = (e) => {
+    if (Array.from(e.dataTransfer.types).includes('Files')) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    }
+  };
+
+  // Dropped images land where they were dropped
+  const handleDrop = (e) => {
+    const files = getImageFiles(e.dataTransfer);
+    if (files.length === 0 || !canvasRef.current) return;
+
+    e.preventDefault();
+    insertImageFiles(files, getCanvasCoordinates(canvasRef.current, e, zoomLevel, canvasOffset));
+  };
+
+  // Undo/redo clear the selection since the selected shapes may no longer exist
+  const handleUndo = () => {
+    userDeselected.current = true;
+    if (undoHistory()) {
+      setSelectedShape(null);
+    }
+  };
+
+  const handleRedo = () => {
+    userDeselected.current = true;
+    if (redoHistory()) {
+      setSelectedShape(null);
+    }
+  };
+
+  const handleJumpToHistory = (position) => {
+    userDeselected.current = true;
+    if (jumpToHistory(position)) {
+      setSelectedShape(null);
+    }
+  };
+
+  // A style change applies to new shapes and restyles every selected shape in one history entry.
+  // Continuous changes (slider drags) coalesce until handleStyleChangeEnd.
+  const handleStyleChange = (patch, options = {}) => {
+    setShapeStyle(prev => ({ ...prev, ...patch }));
+    if (selectedGroup.length === 0) return;
+
+    const updated = new Map(selectedGroup.map(shape => [shape.id, applyShapeStyle(shape, patch)]));
+    const key = options.continuous
+      ? `style-${Object.keys(patch).join('-')}-${selectedIds.join('-')}`
+      : null;
+    recordHistory(describeStyleChange(selectedGroup, patch), { key });
+    setShapes(prev => prev.map(s => updated.get(s.id) ?? s));
+  };
+
+  const handleStyleChangeEnd = () => {
+    endHistoryChange();
+  };
+
   const setSelectedShapeWithTracking = (shape) => {
     if (shape === null) {
       userDeselected.current = true;
@@ -126,6 +331,12 @@ function Canvas({ activeTool, setActiveTool }) {
     setSelectedShape(shape);
   };
 
+  // Shift-click and the selection rectangle select several shapes at once
+  const setSelectedIdsWithTracking = (ids) => {
+    userDeselected.current = true;
+    setSelectedIds(ids);
+  };
+
   const ctx = {
     canvasRef,
     activeTool,
@@ -134,6 +345,10 @@ function Canvas({ activeTool, setActiveTool }) {
     setShapes,
     selectedShape,
     setSelectedShape: setSelectedShapeWithTracking,
+    selectedIds,
+    setSelectedIds: setSelectedIdsWithTracking,
+    selectionBox,
+    setSelectionBox,
     resizeHandle,
     setResizeHandle,
     zoomLevel,
@@ -150,8 +365,11 @@ function Canvas({ activeTool, setActiveTool }) {
     setIsEditingText,
     textPosition,
     setTextPosition,
-    undoHistory,
-    setUndoHistory,
+    shapeStyle,
+    recordHistory,
+    endHistoryChange,
+    undo: handleUndo,
+    redo: handleRedo,
     isDrawing,
     setIsDrawing,
     startPoint,
@@ -164,14 +382,23 @@ function Canvas({ activeTool, setActiveTool }) {
     setIsMovingShape,
     dragStart,
     setDragStart,
-    originalRefs: { originalShapePos, originalCanvasOffset, resizeStartPoint },
+    originalRefs: { originalShapePos, originalCanvasOffset, resizeStartPoint, originalSelection, drawingShapeId },
+    touchGesture,
     startTextInputAtPosition,
     handleTextInput,
     confirmTextInput,
-    handleEditTextClick
+    handleEditTextClick,
+    saveSceneFile: handleSaveSceneFile,
+    openSceneFile: handleOpenSceneFile,
+    openExportDialog: () => setIsExportDialogOpen(true)
   };
 
   const handleKeyDownWrapper = (e) => {
+    // Skip keys typed into form fields (e.g. the export dialog)
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+      return;
+    }
+
     // If Enter is pressed while typing text (and not with Shift key),
     // confirm the text and ensure it gets selected
     if (e.key === 'Enter' && !e.shiftKey && isTypingText) {
@@ -197,13 +424,117 @@ function Canvas({ activeTool, setActiveTool }) {
     return cleanup;
   }, []);
 
+  // Restore the autosaved scene once on mount
+  useEffect(() => {
+    let cancelled = false;
+
+    loadScene().then(doc => {
+      if (cancelled) return;
+
+      if (doc) {
+        console.log("Restoring saved scene:", doc.shapes.length, "shapes");
+        // Don't auto-select the last restored shape
+        userDeselected.current = true;
+        setShapes(doc.shapes);
+        // The viewport is restored even for an empty board
+        setZoomLevel(doc.appState.zoomLevel);
+        setCanvasOffset(doc.appState.canvasOffset);
+      }
+      hasRestoredScene.current = true;
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Autosave the scene (debounced) whenever shapes or the viewport change
+  useEffect(() => {
+    // Don't overwrite the saved scene with the empty initial state
+    if (!hasRestoredScene.current) return;
+
+    latestSceneRef.current = createSceneDocument(shapes, { zoomLevel, canvasOffset });
+    const timeoutId = setTimeout(() => {
+      saveScene(latestSceneRef.current);
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeoutId);
+  }, [shapes, zoomLevel, canvasOffset]);
+
+  // Flush any pending autosave when the page is hidden or closed. IndexedDB writes are
+  // asynchronous and may not commit before the page goes away, so also write it synchronously.
+  useEffect(() => {
+    const flushPendingScene = () => {
+      if (latestSceneRef.current) {
+        flushScene(latestSceneRef.current);
+        saveScene(latestSceneRef.current);
+      }
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        flushPendingScene();
+      }
+    };
+
+    window.addEventListener('pagehide', flushPendingScene);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', flushPendingScene);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, []);
+
   useEffect(() => {
     const context2d = canvasRef.current?.getContext('2d');
     if (context2d) {
       console.log("REDRAW TRIGGERED: shapes:", shapes.length, "selectedShape:", selectedShape?.id);
-      drawAll(context2d, canvasRef, shapes, selectedShape, zoomLevel, canvasOffset, isTypingText, textInput, textPosition, isEditingText, originalShapePos);
+      drawAll(context2d, canvasRef, shapes, selectedShape, zoomLevel, canvasOffset, isTypingText, textInput, textPosition, isEditingText, originalShapePos, shapeStyle, selectedGroup, selectionBox);
+    }
+  }, [shapes, selectedShape, selectedGroup, selectionBox, resizeHandle, zoomLevel, canvasOffset, isTypingText, textInput, textPosition, isEditingText, shapeStyle, imageLoadCount]);
+
+  // Redraw once images finish decoding
+  useEffect(() => onImageLoad(() => setImageLoadCount(count => count + 1)), []);
+
+  // Let go of decoded images once no shape shows them
+  useEffect(() => {
+    pruneImageCache(shapes);
+  }, [shapes]);
+
+  // Paste images from the clipboard into the middle of the view
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || isTypingText) return;
+
+      const files = getImageFiles(e.clipboardData);
+      if (files.length === 0 || !canvasRef.current) return;
+
+      e.preventDefault();
+      insertImageFiles(files, getViewportCenter());
+    };
+
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  });
+
+  // The image tool opens the file picker (once) and goes back to selecting when it closes
+  useEffect(() => {
+    if (activeTool !== 'image') {
+      // Picking another tool always lets the image tool open the picker again
+      isPickingImage.current = false;
+      return;
     }
-  }, [shapes, selectedShape, resizeHandle, zoomLevel, canvasOffset, isTypingText, textInput, textPosition, isEditingText]);
+    // Keeps a second effect run (StrictMode) from opening another picker
+    if (isPickingImage.current) return;
+
+    isPickingImage.current = true;
+    pickFile(IMAGE_FILE_ACCEPT).then(file => {
+      isPickingImage.current = false;
+      setActiveTool('select');
+      if (file && canvasRef.current) {
+        insertPickedImage.current(file);
+      }
+    });
+  }, [activeTool, setActiveTool]);
 
   useEffect(() => {
     console.log("Shapes changed:", shapes.length, shapes);
@@ -212,9 +543,11 @@ function Canvas({ activeTool, setActiveTool }) {
   useEffect(() => {
     // No need to reset shapes or other state when tool changes
     // We just need to update cursor and possibly clear any temporary interaction state
-    if (isDrawing) {
+    // (only on an actual tool change, or every stroke would stop as soon as it starts)
+    if (isDrawing && previousTool.current !== activeTool) {
       setIsDrawing(false);
     }
+    previousTool.current = activeTool;
     
     // If we're editing text and switch tools, confirm the text first
     if (isTypingText && activeTool !== 'text') {
@@ -237,6 +570,9 @@ function Canvas({ activeTool, setActiveTool }) {
 
   // Handle shape selection when shapes array changes
   useEffect(() => {
+    // Erasing can split a stroke into more shapes; none of them is a new shape to select
+    if (activeTool === 'eraser') return;
+
     if (shapes.length > 0 && !userDeselected.current && !isHandlingMouseRelease.current) {
       console.log("Auto-selecting shape after shapes array changed");
       setSelectedShape(shapes[shapes.length - 1]);
@@ -248,7 +584,7 @@ function Canvas({ activeTool, setActiveTool }) {
     } else if (userDeselected.current) {
       console.log("Not auto-selecting - user has made explicit selection/deselection");
     }
-  }, [shapes, setActiveTool, activeTool, isTypingText]);
+  }, [shapes, setActiveTool, setSelectedShape, activeTool, isTypingText]);
 
   // Add effect to reset the deselected flag when new shapes are added
   useEffect(() => {
@@ -384,7 +720,10 @@ function Canvas({ activeTool, setActiveTool }) {
       shouldDrawActiveText ? textInput : '', 
       shouldDrawActiveText ? textPosition : null, 
       shouldDrawActiveText ? isEditingText : false, 
-      originalShapePos
+      originalShapePos,
+      shapeStyle,
+      selectedGroup,
+      selectionBox
     );
     
     // If we're typing text, draw it after everything else to avoid double rendering
@@ -397,54 +736,85 @@ function Canvas({ activeTool, setActiveTool }) {
         originalShapePos,
         isEditingText,
         zoomLevel,
-        canvasOffset
+        canvasOffset,
+        shapeStyle
       );
     }
     
+    // Show the eraser's reach around the cursor
+    if (activeTool === 'eraser') {
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(cssX, cssY, ERASER_RADIUS, 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(128, 128, 128, 0.2)';
+      ctx.fill();
+      ctx.strokeStyle = 'rgba(128, 128, 128, 0.8)';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+      ctx.restore();
+      return;
+    }
+    
+    // Draw the lasso loop so far, closed back to where it started
+    if (activeTool === 'lasso') {
+      if (isDrawing && currentPoints.length > 0) {
+        const loop = [...currentPoints, { x, y }];
+        ctx.save();
+        ctx.scale(zoomLevel, zoomLevel);
+        ctx.translate(canvasOffset.x, canvasOffset.y);
+        ctx.beginPath();
+        ctx.moveTo(loop[0].x, loop[0].y);
+        loop.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(126, 115, 255, 0.1)';
+        ctx.fill();
+        ctx.strokeStyle = '#7e73ff';
+        ctx.lineWidth = 1 / zoomLevel;
+        ctx.setLineDash([4 / zoomLevel, 4 / zoomLevel]);
+        ctx.stroke();
+        ctx.restore();
+      }
+      return;
+    }
+    
     // Only draw shape preview if we're not typing text
     if (!isTypingText && startPoint) {
-      // Draw preview shape with bold orange styling
+      // Draw the preview exactly like the final shape, using the current style
       ctx.save();
       ctx.scale(zoomLevel, zoomLevel);
       ctx.translate(canvasOffset.x, canvasOffset.y);
-      ctx.lineWidth = 3;
-      ctx.strokeStyle = '#ff6600';
       
       switch(activeTool) {
         case 'rectangle':
-          // Draw rectangle preview
-          const rectX = Math.min(startPoint.x, x);
-          const rectY = Math.min(startPoint.y, y);
-          const width = Math.abs(x - startPoint.x);
-          const height = Math.abs(y - startPoint.y);
-          ctx.strokeRect(rectX, rectY, width, height);
+          drawShape(ctx, { ...createRectangle(startPoint, { x, y }, shapeStyle), id: drawingShapeId.current });
           break;
           
         case 'circle':
-          // Draw circle preview
-          const dx = x - startPoint.x;
-          const dy = y - startPoint.y;
-          const radius = Math.sqrt(dx * dx + dy * dy);
-          ctx.beginPath();
-          ctx.arc(startPoint.x, startPoint.y, radius, 0, Math.PI * 2);
-          ctx.stroke();
+          // Shift draws a perfect circle
+          drawShape(ctx, { ...createCircle(startPoint, { x, y }, shapeStyle, e.shiftKey), id: drawingShapeId.current });
+          break;
+          
+        case 'triangle':
+        case 'diamond':
+        case 'polygon':
+        case 'star':
+          drawShape(ctx, { ...createPolygon(activeTool, startPoint, { x, y }, shapeStyle), id: drawingShapeId.current });
           break;
           
         case 'pencil':
-          // Draw pencil preview
           if (currentPoints.length > 0) {
-            ctx.beginPath();
-            ctx.moveTo(currentPoints[0].x, currentPoints[0].y);
-            
-            for (let i = 1; i < currentPoints.length; i++) {
-              ctx.lineTo(currentPoints[i].x, currentPoints[i].y);
-            }
-            
-            ctx.lineTo(x, y);
-            ctx.stroke();
+            drawShape(ctx, { ...createPencil([...currentPoints, { x, y }], shapeStyle), id: drawingShapeId.current });
           }
           break;
           
+        case 'line':
+          drawShape(ctx, { ...createLine(startPoint, { x, y }, shapeStyle), id: drawingShapeId.current });
+          break;
+          
+        case 'arrow':
+          drawShape(ctx, { ...createArrow(startPoint, { x, y }, shapeStyle), id: drawingShapeId.current });
+          break;
+          
         case 'text':
           // Use the dedicated text selection preview function
           drawTextSelectionPreview(
@@ -474,8 +844,8 @@ function Canvas({ activeTool, setActiveTool }) {
   const handleClickDeselect = (e) => {
     console.log("Mouse down", new Date().toISOString());
 
-    // If not in select mode, just use standard handling
-    if (activeTool !== 'select') {
+    // If not in select mode (or panning with the middle button), just use standard handling
+    if (activeTool !== 'select' || e.button === 1) {
       handleMouseDown(e, ctx);
       return;
     }
@@ -483,6 +853,11 @@ function Canvas({ activeTool, setActiveTool }) {
     // Use the selection utility to handle deselection/selection
     const result = handleClickDeselection(e, ctx);
     
+    // Shift-clicking a shape only changes the selection; there's nothing to drag
+    if (result.toggled) {
+      return;
+    }
+    
     if (result.deselected) {
       // We clicked outside any shape - create a context without selectedShape for panning
       const deselectedCtx = {
@@ -509,7 +884,7 @@ function Canvas({ activeTool, setActiveTool }) {
       };
       
       // Store original position for potential dragging
-      originalRefs.originalShapePos.current = { ...result.newShape };
+      originalShapePos.current = { ...result.newShape };
       setIsMovingShape(true);
       setIsDragging(true);
       
@@ -542,8 +917,8 @@ function Canvas({ activeTool, setActiveTool }) {
     }
     
     // Only switch to select tool if a shape was created
-    // Check if shapes array length increased after mouse up
-    if (shapes.length > prevShapesCountRef.current) {
+    // Check if shapes array length increased after mouse up (erasing can split strokes, so it doesn't count)
+    if (activeTool !== 'eraser' && shapes.length > prevShapesCountRef.current) {
       setActiveTool('select');
       
       // Only select the last shape if:
@@ -562,6 +937,35 @@ function Canvas({ activeTool, setActiveTool }) {
     isHandlingMouseRelease.current = false;
   };
 
+  // Mouse, pen and touch all arrive as pointer events. Capturing a pointer keeps a drag going
+  // when it leaves the canvas. Two fingers pan and zoom; otherwise only the primary pointer draws.
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    if (handleTouchStart(e, ctx) || !e.isPrimary) return;
+    handleMouseDownWithTextCheck(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (handleTouchMove(e, ctx) || !e.isPrimary) return;
+    handleMouseMoveWithPreview(e);
+  };
+
+  const handlePointerUp = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+      e.currentTarget.releasePointerCapture(e.pointerId);
+    }
+    if (handleTouchEnd(e, ctx) || !e.isPrimary) return;
+    handleMouseUpWithAutoSelect(e);
+  };
+
+  // The properties panel styles the selection, or the active tool when nothing is selected.
+  // A group shows every control any of its shapes supports, with the first shape's values on top.
+  const styleTypes = selectedGroup.length > 0 ? selectedGroup.map(shape => shape.type) : [activeTool];
+  const selectionStyle = selectedGroup.reduceRight(
+    (style, shape) => ({ ...style, ...getStyleProps(shape, shape.type) }),
+    shapeStyle
+  );
+
   return (
     <div
       className="relative w-full h-full overflow-hidden bg-white dark:bg-zinc-900"
@@ -569,18 +973,71 @@ function Canvas({ activeTool, setActiveTool }) {
       style={{ cursor: getCursorType(activeTool, selectedShape, resizeHandle, isTypingText) }}
       onKeyDown={handleKeyDownWrapper}
       onDoubleClick={(e) => handleDoubleClick(e, ctx)}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
     >
       <canvas
         ref={canvasRef}
         className="absolute top-0 left-0 w-full h-full"
-        onMouseDown={handleMouseDownWithTextCheck}
-        onMouseMove={handleMouseMoveWithPreview}
-        onMouseUp={(e) => handleMouseUpWithAutoSelect(e)}
+        style={{ touchAction: 'none' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
         onWheel={(e) => handleWheel(e, ctx)}
       />
 
+      <SceneMenu
+        onOpen={handleOpenSceneFile}
+        onSave={handleSaveSceneFile}
+        onExport={() => setIsExportDialogOpen(true)}
+      />
+
+      {isExportDialogOpen && (
+        <ExportDialog
+          shapes={shapes}
+          selectedShapes={selectedGroup}
+          isDarkMode={isDarkMode}
+          onClose={() => setIsExportDialogOpen(false)}
+        />
+      )}
+
+      {(!NON_DRAWING_TOOLS.includes(activeTool) || selectedGroup.length > 0) && (
+        <PropertiesPanel
+          style={selectionStyle}
+          showColor={styleTypes.some(supportsColor)}
+          showStroke={styleTypes.some(supportsStroke)}
+          showFill={styleTypes.some(supportsFill)}
+          showArrowheads={styleTypes.some(supportsArrowheads)}
+          showSides={styleTypes.some(supportsSides)}
+          showCorners={styleTypes.some(supportsCornerRadius)}
+          showSmoothing={styleTypes.some(supportsSmoothing)}
+          onStyleChange={handleStyleChange}
+          onStyleChangeEnd={handleStyleChangeEnd}
+        />
+      )}
+
       <ZoomControls zoomLevel={zoomLevel} setZoomLevel={setZoomLevel} />
 
+      <HistoryControls
+        canUndo={canUndo}
+        canRedo={canRedo}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+        isPanelOpen={isHistoryPanelOpen}
+        onTogglePanel={() => setIsHistoryPanelOpen(prev => !prev)}
+      />
+
+      {isHistoryPanelOpen && (
+        <HistoryPanel
+          shapes={shapes}
+          undoStack={undoStack}
+          redoStack={redoStack}
+          onJump={handleJumpToHistory}
+          onClose={() => setIsHistoryPanelOpen(false)}
+        />
+      )}
+
       <div className="absolute bottom-4 left-4 text-xs bg-black/10 text-white px-2 py-1 rounded">
         {formatCursorPosition(cursorPosition)} | Zoom: {Math.round(zoomLevel * 100)}%
       </div>
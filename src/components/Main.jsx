@@ -50,6 +50,9 @@ const Main = () => {
       // Only trigger shortcuts when Shift key is pressed
       if (!e.shiftKey) return;
       
+      // Ctrl/Cmd combinations (e.g. Ctrl+Shift+Z redo) are handled by the canvas
+      if (e.ctrlKey || e.metaKey) return;
+      
       switch (key) {
         case 'P':
           setActiveTool('pencil');
@@ -63,17 +66,49 @@ const Main = () => {
           setActiveTool('circle');
           console.log('Keyboard shortcut: Set tool to circle (Shift+C)');
           break;
+        case 'V':
+          setActiveTool('triangle');
+          console.log('Keyboard shortcut: Set tool to triangle (Shift+V)');
+          break;
+        case 'D':
+          setActiveTool('diamond');
+          console.log('Keyboard shortcut: Set tool to diamond (Shift+D)');
+          break;
+        case 'H':
+          setActiveTool('polygon');
+          console.log('Keyboard shortcut: Set tool to polygon (Shift+H)');
+          break;
+        case 'X':
+          setActiveTool('star');
+          console.log('Keyboard shortcut: Set tool to star (Shift+X)');
+          break;
+        case 'L':
+          setActiveTool('line');
+          console.log('Keyboard shortcut: Set tool to line (Shift+L)');
+          break;
+        case 'A':
+          setActiveTool('arrow');
+          console.log('Keyboard shortcut: Set tool to arrow (Shift+A)');
+          break;
         case 'T':
           setActiveTool('text');
           console.log('Keyboard shortcut: Set tool to text (Shift+T)');
           break;
+        case 'I':
+          setActiveTool('image');
+          console.log('Keyboard shortcut: Set tool to image (Shift+I)');
+          break;
+        case 'E':
+          setActiveTool('eraser');
+          console.log('Keyboard shortcut: Set tool to eraser (Shift+E)');
+          break;
         case 'S':
           setActiveTool('select');
           console.log('Keyboard shortcut: Set tool to select (Shift+S)');
           break;
-        case 'Z':
-          // Add undo functionality here if needed
-          console.log('Keyboard shortcut: Undo (Shift+Z)');
+        case 'Q':
+          setActiveTool('lasso');
+          console.log('Keyboard shortcut: Set tool to lasso (Shift+Q)');
           break;
       }
     };
@@ -99,6 +134,7 @@ const Main = () => {
         <Canvas 
           activeTool={activeTool} 
           setActiveTool={setActiveTool}
+          isDarkMode={isDarkMode}
         />
       </div>
     </div>
@@ -1,12 +1,21 @@
 import React from 'react';
-import { Sun, Moon, Square, Circle, Pencil, Type, MousePointer2 } from 'lucide-react';
+import { Sun, Moon, Square, Circle, Triangle, Diamond, Hexagon, Star, Pencil, Minus, MoveUpRight, Type, ImagePlus, Eraser, MousePointer2, Lasso } from 'lucide-react';
 
 const tools = [
   { id: 'select', name: 'Select', icon: MousePointer2, shortcut: 'S' },
+  { id: 'lasso', name: 'Lasso', icon: Lasso, shortcut: 'Q' },
   { id: 'rectangle', name: 'Rectangle', icon: Square, shortcut: 'R' },
   { id: 'circle', name: 'Circle', icon: Circle, shortcut: 'C' },
+  { id: 'triangle', name: 'Triangle', icon: Triangle, shortcut: 'V' },
+  { id: 'diamond', name: 'Diamond', icon: Diamond, shortcut: 'D' },
+  { id: 'polygon', name: 'Polygon', icon: Hexagon, shortcut: 'H' },
+  { id: 'star', name: 'Star', icon: Star, shortcut: 'X' },
   { id: 'pencil', name: 'Pencil', icon: Pencil, shortcut: 'P' },
-  { id: 'text', name: 'Text', icon: Type, shortcut: 'T' }
+  { id: 'line', name: 'Line', icon: Minus, shortcut: 'L' },
+  { id: 'arrow', name: 'Arrow', icon: MoveUpRight, shortcut: 'A' },
+  { id: 'text', name: 'Text', icon: Type, shortcut: 'T' },
+  { id: 'image', name: 'Image', icon: ImagePlus, shortcut: 'I' },
+  { id: 'eraser', name: 'Eraser', icon: Eraser, shortcut: 'E' }
 ];
 
 const Navbar = ({ isDarkMode, toggleTheme, activeTool, setActiveTool }) => {
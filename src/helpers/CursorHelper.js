@@ -31,8 +31,11 @@ export const getCursorType = (activeTool, selectedShape, resizeHandle, isTypingT
       case 'middleLeft':
       case 'middleRight':
         return 'ew-resize';
+      case 'cornerRadius':
+        return 'pointer';
       default:
-        return 'move';
+        // Dragging a point of a line or bending an arrow
+        return resizeHandle.startsWith('point-') || resizeHandle.startsWith('midpoint-') ? 'crosshair' : 'move';
     }
   }
 
@@ -44,6 +47,14 @@ export const getCursorType = (activeTool, selectedShape, resizeHandle, isTypingT
       return 'crosshair';
     case 'rectangle':
     case 'circle':
+    case 'triangle':
+    case 'diamond':
+    case 'polygon':
+    case 'star':
+    case 'line':
+    case 'arrow':
+    case 'lasso':
+    case 'eraser':
       return 'crosshair';
     case 'text':
       return 'text';
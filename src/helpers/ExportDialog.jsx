@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, Image, FileCode } from 'lucide-react';
+import {
+  EXPORT_SCALES,
+  DEFAULT_EXPORT_PADDING,
+  THEME_BACKGROUNDS,
+  exportToThumbnail,
+  exportPng,
+  exportSvg
+} from './exportUtils';
+import { preloadImages } from './imageUtils';
+
+// Largest preview that fits the preview area of the dialog
+const PREVIEW_WIDTH = 352;
+const PREVIEW_HEIGHT = 144;
+
+const ExportDialog = ({ shapes, selectedShapes = [], isDarkMode, onClose }) => {
+  const [scale, setScale] = useState(2);
+  const [padding, setPadding] = useState(DEFAULT_EXPORT_PADDING);
+  const [background, setBackground] = useState('theme');
+  const [selectionOnly, setSelectionOnly] = useState(selectedShapes.length > 0);
+
+  const exportShapes = selectionOnly && selectedShapes.length > 0 ? selectedShapes : shapes;
+  const hasContent = exportShapes.length > 0;
+
+  const backgroundColor = background === 'theme'
+    ? THEME_BACKGROUNDS[isDarkMode ? 'dark' : 'light']
+    : null;
+  const exportOptions = { scale, padding, background: backgroundColor };
+
+  // The shapes the preview shows, set once their images have loaded so they don't render as placeholders
+  const [previewShapes, setPreviewShapes] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    preloadImages(exportShapes).then(() => {
+      if (!cancelled) setPreviewShapes(exportShapes);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [exportShapes]);
+
+  // Preview sized to fit the dialog; the export scale doesn't change how it looks
+  const previewUrl = useMemo(
+    () => exportToThumbnail(previewShapes, PREVIEW_WIDTH, PREVIEW_HEIGHT, { padding, background: backgroundColor }),
+    [previewShapes, padding, backgroundColor]
+  );
+
+  const handleExportPng = async () => {
+    try {
+      await exportPng(exportShapes, exportOptions);
+      onClose();
+    } catch (error) {
+      console.error('PNG export failed:', error);
+      window.alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  const handleExportSvg = async () => {
+    try {
+      await exportSvg(exportShapes, exportOptions);
+      onClose();
+    } catch (error) {
+      console.error('SVG export failed:', error);
+      window.alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  const optionClass = (isActive) => `px-2 py-1 rounded text-sm ${
+    isActive
+      ? 'bg-[#f54a00]/20 text-[#f54a00]'
+      : 'hover:bg-gray-200/50 dark:hover:bg-zinc-800/50 text-gray-700 dark:text-gray-300'
+  }`;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/30"
+      onMouseDown={onClose}
+    >
+      <div
+        className="w-96 p-4 rounded-lg bg-white dark:bg-zinc-900 border border-gray-200 dark:border-zinc-700 shadow-lg text-gray-700 dark:text-gray-300"
+        onMouseDown={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <span className="font-semibold">Export image</span>
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-200/50 dark:hover:bg-zinc-800/50" title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        {/* Preview on a checkerboard so transparency is visible */}
+        <div className="flex items-center justify-center h-40 mb-3 rounded border border-gray-200 dark:border-zinc-700 bg-[repeating-conic-gradient(#e5e7eb_0%_25%,transparent_0%_50%)] bg-[length:16px_16px]">
+          {previewUrl ? (
+            <img src={previewUrl} alt="Export preview" className="max-h-36 max-w-full object-contain" />
+          ) : !hasContent && (
+            <span className="text-sm text-gray-400">Nothing to export</span>
+          )}
+        </div>
+
+        <div className="flex flex-col gap-2 text-sm">
+          <div className="flex items-center justify-between">
+            <span>Scale</span>
+            <div className="flex gap-1">
+              {EXPORT_SCALES.map(value => (
+                <button key={value} className={optionClass(scale === value)} onClick={() => setScale(value)}>
+                  {value}x
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <span>Background</span>
+            <div className="flex gap-1">
+              <button className={optionClass(background === 'theme')} onClick={() => setBackground('theme')}>
+                {isDarkMode ? 'Dark' : 'Light'}
+              </button>
+              <button className={optionClass(background === 'transparent')} onClick={() => setBackground('transparent')}>
+                Transparent
+              </button>
+            </div>
+          </div>
+
+          <label className="flex items-center justify-between">
+            <span>Padding</span>
+            <input
+              type="number"
+              min={0}
+              max={200}
+              value={padding}
+              onChange={e => setPadding(Math.max(0, Number(e.target.value) || 0))}
+              className="w-20 px-2 py-1 rounded border border-gray-300 dark:border-zinc-700 bg-transparent"
+            />
+          </label>
+
+          <label className={`flex items-center justify-between ${selectedShapes.length === 0 ? 'opacity-50' : ''}`}>
+            <span>Selection only</span>
+            <input
+              type="checkbox"
+              checked={selectionOnly && selectedShapes.length > 0}
+              disabled={selectedShapes.length === 0}
+              onChange={e => setSelectionOnly(e.target.checked)}
+            />
+          </label>
+        </div>
+
+        <div className="flex justify-end gap-2 mt-4">
+          <button
+            onClick={handleExportSvg}
+            disabled={!hasContent}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm border border-gray-300 dark:border-zinc-700 hover:bg-gray-200/50 dark:hover:bg-zinc-800/50 disabled:opacity-50"
+          >
+            <FileCode size={16} />
+            Export SVG
+          </button>
+          <button
+            onClick={handleExportPng}
+            disabled={!hasContent}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm bg-[#f54a00] text-white hover:bg-[#d43d00] disabled:opacity-50"
+          >
+            <Image size={16} />
+            Export PNG
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
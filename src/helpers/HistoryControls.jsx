@@ -0,0 +1,38 @@
+import React from 'react';
+import { Undo2, Redo2, History } from 'lucide-react';
+
+const HistoryControls = ({ canUndo, canRedo, onUndo, onRedo, isPanelOpen, onTogglePanel }) => {
+  return (
+    <div className="fixed bottom-4 left-44 flex items-center gap-2 p-2 rounded-lg backdrop-blur-md bg-white/10 dark:bg-zinc-900/10 border border-white/20 dark:border-zinc-700/20 shadow-lg z-50">
+      <button
+        onClick={onUndo}
+        disabled={!canUndo}
+        className="p-2 rounded-lg hover:bg-white/20 dark:hover:bg-zinc-800/20 transition-colors duration-300 disabled:opacity-40"
+        title="Undo (Ctrl+Z)"
+      >
+        <Undo2 className="w-5 h-5" />
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!canRedo}
+        className="p-2 rounded-lg hover:bg-white/20 dark:hover:bg-zinc-800/20 transition-colors duration-300 disabled:opacity-40"
+        title="Redo (Ctrl+Shift+Z / Ctrl+Y)"
+      >
+        <Redo2 className="w-5 h-5" />
+      </button>
+      <button
+        onClick={onTogglePanel}
+        className={`p-2 rounded-lg transition-colors duration-300 ${
+          isPanelOpen
+            ? 'bg-[#f54a00]/20 text-[#f54a00]'
+            : 'hover:bg-white/20 dark:hover:bg-zinc-800/20'
+        }`}
+        title="History"
+      >
+        <History className="w-5 h-5" />
+      </button>
+    </div>
+  );
+};
+
+export default HistoryControls;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { X } from 'lucide-react';
+import { getHistoryStates } from './historyUtils';
+import { exportToThumbnail } from './exportUtils';
+
+const THUMBNAIL_WIDTH = 64;
+const THUMBNAIL_HEIGHT = 48;
+
+// Delay (ms) after the last change before the current state's thumbnail is redrawn
+const LIVE_THUMBNAIL_DELAY = 300;
+
+const HistoryPanel = ({ shapes, undoStack, redoStack, onJump, onClose }) => {
+  // Thumbnails never change for a given entry, so render each one only once
+  const thumbnailCache = useRef(new Map());
+
+  // Past and future states only change when an entry is added, undone or redone, so they are
+  // rebuilt from the shapes as they were then rather than on every update (e.g. mid-drag)
+  const shapesRef = useRef(shapes);
+  shapesRef.current = shapes;
+  const states = useMemo(
+    () => getHistoryStates(shapesRef.current, undoStack, redoStack),
+    [undoStack, redoStack]
+  );
+
+  // The current state may still be changing, so its thumbnail follows it once it settles
+  const [liveThumbnail, setLiveThumbnail] = useState(
+    () => exportToThumbnail(shapes, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT)
+  );
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setLiveThumbnail(exportToThumbnail(shapes, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT));
+    }, LIVE_THUMBNAIL_DELAY);
+    return () => clearTimeout(timeoutId);
+  }, [shapes]);
+
+  const items = useMemo(() => {
+    const timeline = [...undoStack, ...[...redoStack].reverse()];
+    const current = undoStack.length;
+
+    const timelineItems = states.map((state, position) => {
+      const entry = position === 0 ? null : timeline[position - 1];
+      const cacheKey = entry ? entry.id : `initial-${timeline[0]?.id}`;
+
+      let thumbnail = position === current ? liveThumbnail : thumbnailCache.current.get(cacheKey);
+      if (thumbnail === undefined) {
+        thumbnail = exportToThumbnail(state, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+        thumbnailCache.current.set(cacheKey, thumbnail);
+      }
+
+      return {
+        position,
+        key: cacheKey,
+        label: entry ? entry.label : 'Initial state',
+        thumbnail,
+        isCurrent: position === current,
+        isRedo: position > current
+      };
+    });
+
+    // Forget thumbnails of entries that were trimmed or can no longer be redone
+    const keys = new Set(timelineItems.map(item => item.key));
+    for (const key of thumbnailCache.current.keys()) {
+      if (!keys.has(key)) {
+        thumbnailCache.current.delete(key);
+      }
+    }
+
+    return timelineItems;
+  }, [states, undoStack, redoStack, liveThumbnail]);
+
+  return (
+    <div className="fixed top-32 right-4 w-64 max-h-[60vh] flex flex-col rounded-lg backdrop-blur-md bg-white/90 dark:bg-zinc-900/90 border border-gray-200 dark:border-zinc-700 shadow-lg z-40 text-gray-700 dark:text-gray-300">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-zinc-700">
+        <span className="text-sm font-semibold">History</span>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-200/50 dark:hover:bg-zinc-800/50" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+
+      {/* Newest entries on top */}
+      <div className="overflow-y-auto p-1">
+        {[...items].reverse().map(item => (
+          <button
+            key={item.key}
+            onClick={() => onJump(item.position)}
+            className={`flex items-center gap-2 w-full p-1 rounded text-left text-sm ${
+              item.isCurrent
+                ? 'bg-[#f54a00]/20 text-[#f54a00]'
+                : 'hover:bg-gray-200/50 dark:hover:bg-zinc-800/50'
+            } ${item.isRedo ? 'opacity-50' : ''}`}
+            title={item.isRedo ? 'Redo to this point' : 'Undo to this point'}
+          >
+            <div className="flex items-center justify-center flex-shrink-0 w-16 h-12 rounded border border-gray-200 dark:border-zinc-700 bg-white dark:bg-zinc-900">
+              {item.thumbnail && (
+                <img src={item.thumbnail} alt="" className="max-w-full max-h-full object-contain" />
+              )}
+            </div>
+            <span className="truncate">{item.label}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
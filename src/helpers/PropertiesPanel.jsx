@@ -0,0 +1,448 @@
+import React, { useState, useEffect } from 'react';
+import { STROKE_WIDTHS, MAX_STROKE_WIDTH, MIN_SIDES, MAX_SIDES, DEFAULT_CORNER_RADIUS } from './shapeUtils';
+import { ROUGHNESS_LEVELS } from './roughUtils';
+
+// Stroke colors offered in the palette
+const STROKE_COLORS = [
+  '#f54a00',
+  '#1e1e1e',
+  '#ffffff',
+  '#e03131',
+  '#2f9e44',
+  '#1971c2',
+  '#f08c00',
+  '#9c36b5'
+];
+
+const RECENT_COLORS_KEY = 'kalidraw-recent-colors';
+const MAX_RECENT_COLORS = 8;
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const loadRecentColors = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RECENT_COLORS_KEY));
+    return Array.isArray(saved) ? saved.filter(color => HEX_COLOR_PATTERN.test(color)) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Normalize user input like "F54A00" or "#f54a00" to a lowercase hex color
+ * @param {string} value - Raw input
+ * @returns {string|null} - Hex color, or null if the input isn't one
+ */
+const parseHexColor = (value) => {
+  const trimmed = value.trim();
+  const hex = trimmed.startsWith('#') ? trimmed : `#${trimmed}`;
+  return HEX_COLOR_PATTERN.test(hex) ? hex.toLowerCase() : null;
+};
+
+const ColorSwatch = ({ color, isActive, onClick }) => (
+  <button
+    onClick={onClick}
+    className={`w-6 h-6 rounded border ${
+      isActive
+        ? 'ring-2 ring-[#f54a00] ring-offset-1 ring-offset-white dark:ring-offset-zinc-900 border-transparent'
+        : 'border-gray-300 dark:border-zinc-600'
+    }`}
+    style={{ backgroundColor: color }}
+    title={color}
+  />
+);
+
+/**
+ * Palette, recent colors and a custom hex field for one color property
+ */
+const ColorPicker = ({ color, recentColors, onSelect }) => {
+  const [hexInput, setHexInput] = useState(color);
+
+  // Keep the hex field in sync when the selection or palette changes the color
+  useEffect(() => {
+    setHexInput(color);
+  }, [color]);
+
+  const commitHexInput = () => {
+    const parsed = parseHexColor(hexInput);
+    if (parsed) {
+      onSelect(parsed);
+    } else {
+      // Invalid input - go back to the current color
+      setHexInput(color);
+    }
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-6 gap-1">
+        {STROKE_COLORS.map(swatch => (
+          <ColorSwatch
+            key={swatch}
+            color={swatch}
+            isActive={color === swatch}
+            onClick={() => onSelect(swatch)}
+          />
+        ))}
+      </div>
+
+      {recentColors.length > 0 && (
+        <>
+          <span className="text-xs text-gray-400">Recent</span>
+          <div className="grid grid-cols-6 gap-1">
+            {recentColors.map(swatch => (
+              <ColorSwatch
+                key={swatch}
+                color={swatch}
+                isActive={color === swatch}
+                onClick={() => onSelect(swatch)}
+              />
+            ))}
+          </div>
+        </>
+      )}
+
+      <label className="flex items-center gap-2">
+        <span className="w-6 h-6 flex-shrink-0 rounded border border-gray-300 dark:border-zinc-600" style={{ backgroundColor: color }} />
+        <input
+          type="text"
+          value={hexInput}
+          onChange={e => setHexInput(e.target.value)}
+          onBlur={commitHexInput}
+          onKeyDown={e => {
+            if (e.key === 'Enter') commitHexInput();
+          }}
+          maxLength={7}
+          spellCheck={false}
+          className="w-full px-2 py-1 rounded border border-gray-300 dark:border-zinc-700 bg-transparent font-mono"
+          title="Custom hex color"
+        />
+      </label>
+    </>
+  );
+};
+
+/**
+ * Slider for a 0-1 value shown as a percentage. Dragging reports continuous
+ * changes; onChangeEnd fires when the drag (or key press) is over.
+ */
+const PercentSlider = ({ label, value, onChange, onChangeEnd }) => (
+  <label className="flex items-center gap-2">
+    {label && <span className="text-xs w-12">{label}</span>}
+    <input
+      type="range"
+      min={0}
+      max={100}
+      value={Math.round(value * 100)}
+      onChange={e => onChange(Number(e.target.value) / 100)}
+      onPointerUp={onChangeEnd}
+      onKeyUp={onChangeEnd}
+      className="flex-1 accent-[#f54a00]"
+    />
+    <span className="text-xs w-8 text-right">{Math.round(value * 100)}%</span>
+  </label>
+);
+
+const FILL_STYLE_OPTIONS = [
+  { id: 'none', label: 'None' },
+  { id: 'solid', label: 'Solid' },
+  { id: 'hatch', label: 'Hatch' },
+  { id: 'cross-hatch', label: 'Cross' }
+];
+
+const STROKE_WIDTH_OPTIONS = [
+  { id: 'thin', label: 'Thin' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'bold', label: 'Bold' }
+];
+
+const STROKE_STYLE_OPTIONS = [
+  { id: 'solid', label: 'Solid' },
+  { id: 'dashed', label: 'Dashed' },
+  { id: 'dotted', label: 'Dotted' }
+];
+
+const ROUGHNESS_OPTIONS = [
+  { id: 'architect', label: 'Architect' },
+  { id: 'artist', label: 'Artist' },
+  { id: 'cartoonist', label: 'Cartoonist' }
+];
+
+const ARROWHEAD_OPTIONS = [
+  { id: 'none', label: 'None' },
+  { id: 'triangle', label: 'Arrow' },
+  { id: 'bar', label: 'Bar' },
+  { id: 'dot', label: 'Dot' }
+];
+
+const CORNER_OPTIONS = [
+  { id: 'sharp', label: 'Sharp' },
+  { id: 'round', label: 'Round' }
+];
+
+const PropertiesPanel = ({
+  style,
+  showColor,
+  showStroke,
+  showFill,
+  showArrowheads,
+  showSides,
+  showCorners,
+  showSmoothing,
+  onStyleChange,
+  onStyleChangeEnd
+}) => {
+  const [recentColors, setRecentColors] = useState(loadRecentColors);
+
+  // Persist outside the state update; storage may be full or blocked (private browsing)
+  useEffect(() => {
+    try {
+      localStorage.setItem(RECENT_COLORS_KEY, JSON.stringify(recentColors));
+    } catch (error) {
+      console.warn('Failed to save recent colors:', error);
+    }
+  }, [recentColors]);
+
+  const rememberColor = (color) => {
+    setRecentColors(prev => [color, ...prev.filter(c => c !== color)].slice(0, MAX_RECENT_COLORS));
+  };
+
+  // Color properties share the recent colors list
+  const selectColor = (prop, color) => {
+    rememberColor(color);
+    if (color !== style[prop]) {
+      onStyleChange({ [prop]: color });
+    }
+  };
+
+  const optionClass = (isActive) => `flex-1 px-1 py-1 rounded text-xs ${
+    isActive
+      ? 'bg-[#f54a00]/20 text-[#f54a00]'
+      : 'hover:bg-gray-200/50 dark:hover:bg-zinc-800/50'
+  }`;
+
+  return (
+    <div className="fixed top-20 left-4 w-52 max-h-[calc(100vh-10rem)] overflow-y-auto p-3 flex flex-col gap-2 rounded-lg backdrop-blur-md bg-white/90 dark:bg-zinc-900/90 border border-gray-200 dark:border-zinc-700 shadow-lg z-40 text-sm text-gray-700 dark:text-gray-300">
+      {showColor && (
+        <>
+          <span className="text-xs font-semibold">Stroke</span>
+          <ColorPicker
+            color={style.color}
+            recentColors={recentColors}
+            onSelect={color => selectColor('color', color)}
+          />
+        </>
+      )}
+
+      {showStroke && (
+        <>
+          <span className="text-xs font-semibold mt-1">Stroke width</span>
+          <div className="flex gap-1">
+            {STROKE_WIDTH_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                className={optionClass(style.strokeWidth === STROKE_WIDTHS[option.id])}
+                onClick={() => {
+                  if (style.strokeWidth !== STROKE_WIDTHS[option.id]) {
+                    onStyleChange({ strokeWidth: STROKE_WIDTHS[option.id] });
+                  }
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2">
+            <span className="text-xs w-12">Custom</span>
+            <input
+              type="number"
+              min={1}
+              max={MAX_STROKE_WIDTH}
+              value={style.strokeWidth}
+              onChange={e => {
+                const value = Number(e.target.value);
+                if (value > 0) {
+                  onStyleChange({ strokeWidth: Math.min(value, MAX_STROKE_WIDTH) }, { continuous: true });
+                }
+              }}
+              onBlur={onStyleChangeEnd}
+              className="w-full px-2 py-1 rounded border border-gray-300 dark:border-zinc-700 bg-transparent"
+            />
+          </label>
+
+          <span className="text-xs font-semibold mt-1">Stroke style</span>
+          <div className="flex gap-1">
+            {STROKE_STYLE_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                className={optionClass(style.strokeStyle === option.id)}
+                onClick={() => {
+                  if (option.id !== style.strokeStyle) onStyleChange({ strokeStyle: option.id });
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <span className="text-xs font-semibold mt-1">Roughness</span>
+          <div className="flex gap-1">
+            {ROUGHNESS_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                className={optionClass(style.roughness === ROUGHNESS_LEVELS[option.id])}
+                onClick={() => {
+                  if (style.roughness !== ROUGHNESS_LEVELS[option.id]) {
+                    onStyleChange({ roughness: ROUGHNESS_LEVELS[option.id] });
+                  }
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {showSides && (
+        <label className="flex items-center gap-2 mt-1">
+          <span className="text-xs font-semibold w-12">Sides</span>
+          <input
+            type="number"
+            min={MIN_SIDES}
+            max={MAX_SIDES}
+            value={style.sides}
+            onChange={e => {
+              const value = Math.round(Number(e.target.value));
+              if (value >= MIN_SIDES && value <= MAX_SIDES) {
+                onStyleChange({ sides: value }, { continuous: true });
+              }
+            }}
+            onBlur={onStyleChangeEnd}
+            className="w-full px-2 py-1 rounded border border-gray-300 dark:border-zinc-700 bg-transparent"
+            title="Sides of a polygon, or points of a star"
+          />
+        </label>
+      )}
+
+      {showSmoothing && (
+        <>
+          <span className="text-xs font-semibold mt-1">Smoothing</span>
+          <PercentSlider
+            value={style.smoothing}
+            onChange={smoothing => onStyleChange({ smoothing }, { continuous: true })}
+            onChangeEnd={onStyleChangeEnd}
+          />
+        </>
+      )}
+
+      {showCorners && (
+        <>
+          <span className="text-xs font-semibold mt-1">Corners</span>
+          <div className="flex gap-1">
+            {CORNER_OPTIONS.map(option => {
+              const isRound = style.cornerRadius > 0;
+              return (
+                <button
+                  key={option.id}
+                  className={optionClass(option.id === 'round' ? isRound : !isRound)}
+                  onClick={() => {
+                    if (option.id === 'round' && !isRound) onStyleChange({ cornerRadius: DEFAULT_CORNER_RADIUS });
+                    if (option.id === 'sharp' && isRound) onStyleChange({ cornerRadius: 0 });
+                  }}
+                >
+                  {option.label}
+                </button>
+              );
+            })}
+          </div>
+          {style.cornerRadius > 0 && (
+            <label className="flex items-center gap-2">
+              <span className="text-xs w-12">Radius</span>
+              <input
+                type="number"
+                min={1}
+                value={style.cornerRadius}
+                onChange={e => {
+                  const value = Math.round(Number(e.target.value));
+                  if (value >= 1) {
+                    onStyleChange({ cornerRadius: value }, { continuous: true });
+                  }
+                }}
+                onBlur={onStyleChangeEnd}
+                className="w-full px-2 py-1 rounded border border-gray-300 dark:border-zinc-700 bg-transparent"
+                title="Corner radius; never drawn larger than half the shorter side"
+              />
+            </label>
+          )}
+        </>
+      )}
+
+      {showArrowheads && [
+        { prop: 'startArrowhead', label: 'Start arrowhead' },
+        { prop: 'endArrowhead', label: 'End arrowhead' }
+      ].map(({ prop, label }) => (
+        <React.Fragment key={prop}>
+          <span className="text-xs font-semibold mt-1">{label}</span>
+          <div className="flex gap-1">
+            {ARROWHEAD_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                className={optionClass(style[prop] === option.id)}
+                onClick={() => {
+                  if (option.id !== style[prop]) onStyleChange({ [prop]: option.id });
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </React.Fragment>
+      ))}
+
+      {showFill && (
+        <>
+          <span className="text-xs font-semibold mt-1">Fill</span>
+          <div className="flex gap-1">
+            {FILL_STYLE_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                className={optionClass(style.fillStyle === option.id)}
+                onClick={() => {
+                  if (option.id !== style.fillStyle) onStyleChange({ fillStyle: option.id });
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {style.fillStyle !== 'none' && (
+            <>
+              <ColorPicker
+                color={style.fillColor}
+                recentColors={recentColors}
+                onSelect={color => selectColor('fillColor', color)}
+              />
+
+              <PercentSlider
+                label="Opacity"
+                value={style.fillOpacity}
+                onChange={fillOpacity => onStyleChange({ fillOpacity }, { continuous: true })}
+                onChangeEnd={onStyleChangeEnd}
+              />
+            </>
+          )}
+        </>
+      )}
+
+      <span className="text-xs font-semibold mt-1">Opacity</span>
+      <PercentSlider
+        value={style.opacity}
+        onChange={opacity => onStyleChange({ opacity }, { continuous: true })}
+        onChangeEnd={onStyleChangeEnd}
+      />
+    </div>
+  );
+};
+
+export default PropertiesPanel;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Menu, FolderOpen, Save, ImageDown } from 'lucide-react';
+
+const SceneMenu = ({ onOpen, onSave, onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking anywhere outside it
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const items = [
+    { id: 'open', label: 'Open…', shortcut: 'Ctrl+O', icon: FolderOpen, action: onOpen },
+    { id: 'save', label: 'Save as…', shortcut: 'Ctrl+S', icon: Save, action: onSave },
+    { id: 'export', label: 'Export image…', shortcut: 'Ctrl+Shift+E', icon: ImageDown, action: onExport }
+  ];
+
+  return (
+    <div ref={menuRef} className="fixed top-4 left-4 z-50">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="p-2 rounded-lg backdrop-blur-md bg-white/30 dark:bg-zinc-900/50 border border-white/20 dark:border-zinc-700/20 shadow-lg hover:bg-gray-200/50 dark:hover:bg-zinc-800/50 text-gray-700 dark:text-gray-300 transition-colors duration-300"
+        title="Menu"
+      >
+        <Menu size={20} />
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 w-52 py-1 rounded-lg backdrop-blur-md bg-white/90 dark:bg-zinc-900/90 border border-gray-200 dark:border-zinc-700 shadow-lg">
+          {items.map(item => (
+            <button
+              key={item.id}
+              onClick={() => {
+                setIsOpen(false);
+                item.action();
+              }}
+              className="flex items-center gap-2 w-full px-3 py-2 text-sm text-left text-gray-700 dark:text-gray-300 hover:bg-gray-200/50 dark:hover:bg-zinc-800/50"
+            >
+              <item.icon size={16} />
+              <span className="flex-1">{item.label}</span>
+              <span className="text-xs text-gray-400">{item.shortcut}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SceneMenu;
@@ -1,19 +1,27 @@
+import { describeShapes } from '../historyUtils';
+import { updateBoundArrows } from '../shapeUtils';
+import { getSelectedShapes } from '../selectionUtils';
+
 /**
- * Handle keydown events for deletion, undo, and cycling tools.
+ * Handle keydown events for deletion, undo/redo, and cycling tools.
  */
 export function handleKeyDown(e, ctx) {
   const {
-    selectedShape,
+    shapes,
+    selectedIds,
     setShapes,
     setSelectedShape,
-    setUndoHistory,
-    undoHistory,
-    shapes,
+    recordHistory,
+    undo,
+    redo,
     isTypingText,
     handleTextInput,
     confirmTextInput,
     setActiveTool,
-    activeTool
+    activeTool,
+    saveSceneFile,
+    openSceneFile,
+    openExportDialog
   } = ctx;
 
   // If in text input mode, let the text handler manage it
@@ -28,30 +36,68 @@ export function handleKeyDown(e, ctx) {
     return;
   }
 
-  // Delete selected shape with Delete or Backspace
-  if ((e.key === 'Delete' || e.key === 'Backspace') && selectedShape) {
+  // Delete the selected shapes with Delete or Backspace
+  const selection = getSelectedShapes(shapes, selectedIds);
+  if ((e.key === 'Delete' || e.key === 'Backspace') && selection.length > 0) {
     e.preventDefault();
-    setUndoHistory(prev => [...prev, shapes]);
-    setShapes(prev => prev.filter(shape => shape.id !== selectedShape.id));
+    recordHistory(`Delete ${describeShapes(selection)}`);
+    // Arrows bound to the deleted shapes let go of them
+    const deletedIds = selection.map(shape => shape.id);
+    setShapes(prev => updateBoundArrows(prev.filter(shape => !deletedIds.includes(shape.id))));
     setSelectedShape(null);
   }
 
-  // Handle undo with Ctrl+Z
-  if (e.key === 'z' && (e.ctrlKey || e.metaKey)) {
+  // Handle undo with Ctrl+Z and redo with Ctrl+Shift+Z / Ctrl+Y
+  if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey)) {
     e.preventDefault();
-    if (undoHistory && undoHistory.length > 0) {
-      const previousState = undoHistory[undoHistory.length - 1];
-      const newHistory = undoHistory.slice(0, -1);
-      setUndoHistory(newHistory);
-      setShapes(previousState);
-      setSelectedShape(null);
+    if (e.shiftKey) {
+      redo();
+    } else {
+      undo();
     }
   }
 
+  if (e.key.toLowerCase() === 'y' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    redo();
+  }
+
+  // Save the scene to a .kalidraw file with Ctrl+S
+  if (e.key === 's' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    saveSceneFile();
+  }
+
+  // Open a .kalidraw file with Ctrl+O
+  if (e.key === 'o' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    openSceneFile();
+  }
+
+  // Open the image export dialog with Ctrl+Shift+E
+  if (e.key.toLowerCase() === 'e' && e.shiftKey && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    openExportDialog();
+  }
+
   // Space bar cycles tools - NOTE: This does not modify the shapes array at all
   if (e.key === ' ' && !isTypingText) {
     e.preventDefault();
-    const tools = ['select', 'rectangle', 'circle', 'pencil', 'text'];
+    const tools = [
+      'select',
+      'lasso',
+      'rectangle',
+      'circle',
+      'triangle',
+      'diamond',
+      'polygon',
+      'star',
+      'pencil',
+      'line',
+      'arrow',
+      'text',
+      'eraser'
+    ];
     const idx = tools.indexOf(activeTool);
     const next = tools[(idx + 1) % tools.length];
     setActiveTool(next);
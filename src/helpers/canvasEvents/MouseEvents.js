@@ -1,17 +1,182 @@
-// Mouse event handling utilities
+// Pointer event handling utilities (mouse, pen and touch)
 import { getCanvasCoordinates, clearCanvas, redrawShapes } from '../canvasUtils/';
 import { 
-  isPointInShape, 
   resizeShape, 
   getShapeBoundingBox, 
-  getShapeResizeHandles 
+  getShapeResizeHandles,
+  getMidpointHandleIndex,
+  addElbowPoint,
+  isBindableShape,
+  updateBoundArrows,
+  bindArrow,
+  supportsArrowheads,
+  isPolygonType,
+  eraseShapes,
+  ERASER_RADIUS,
+  simplifyPoints,
+  SIMPLIFY_TOLERANCE,
+  simulatePressure,
+  resizeShapes,
+  getSelectionResizeHandles,
+  generateId
 } from '../shapeUtils';
 import DirectTextInput from '../DirectTextInput';
-import { handleRectangleDrawing, handleCircleDrawing, handlePencilDrawing, drawPencil } from '../drawingTools';
+import {
+  handleRectangleDrawing,
+  handleCircleDrawing,
+  handlePencilDrawing,
+  handleLineDrawing,
+  handleArrowDrawing,
+  handlePolygonDrawing,
+  drawPencil,
+  drawShape,
+  createRectangle,
+  createCircle,
+  createPencil,
+  createLine,
+  createArrow,
+  createPolygon
+} from '../drawingTools';
+import { describeShape, describeShapes, describeStyleChange } from '../historyUtils';
+import {
+  findShapeUnderPoint,
+  getSelectionRect,
+  findShapesInRect,
+  findShapesInLasso,
+  getSelectedShapes,
+  getSelectionBounds
+} from '../selectionUtils';
+
+// A selection rectangle smaller than this (in screen pixels) is a click on empty space
+const MIN_SELECTION_SIZE = 3;
+
+/**
+ * Give a shape being drawn the id it will be added with. Sketchy outlines are seeded with
+ * the id, so the preview has to use it too or the outline jumps when the shape is added.
+ * @param {Object} shape - Shape built from the current drag
+ * @param {Object} ctx - Context object containing refs
+ * @returns {Object} - The shape with its id
+ */
+const withDrawingId = (shape, ctx) => ({ ...shape, id: ctx.originalRefs.drawingShapeId.current });
+
+/**
+ * Put an updated shape into the shapes array. Arrows bound to it follow along.
+ * @param {Array} shapes - Current shapes
+ * @param {Object} updated - The changed shape
+ * @returns {Array} - New shapes array
+ */
+const replaceShape = (shapes, updated) => replaceShapes(shapes, [updated]);
+
+/**
+ * Put several updated shapes into the shapes array. Arrows bound to them follow along.
+ * @param {Array} shapes - Current shapes
+ * @param {Array} updated - The changed shapes
+ * @returns {Array} - New shapes array
+ */
+const replaceShapes = (shapes, updated) => {
+  const byId = new Map(updated.map(shape => [shape.id, shape]));
+  const next = shapes.map(s => byId.get(s.id) || s);
+  return updated.some(isBindableShape) ? updateBoundArrows(next) : next;
+};
+
+/**
+ * Move a shape by an offset from where it was when the drag started
+ * @param {Object} original - The shape when the drag started
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} - The moved shape
+ */
+const moveShape = (original, dx, dy) => {
+  // Point-based shapes (pencil, line) move every point
+  if (Array.isArray(original.points)) {
+    return { ...original, points: original.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy })) };
+  }
+  return { ...original, x: original.x + dx, y: original.y + dy };
+};
 
 /**
- * Handle mouse down events on the canvas
- * @param {MouseEvent} e
+ * Erase whatever the eraser swept over between two pointer positions.
+ * Every step of one drag coalesces into a single history entry.
+ * @param {Object} from - Previous pointer position
+ * @param {Object} to - Current pointer position
+ * @param {Object} ctx - Context object containing state and setters
+ */
+const eraseAlong = (from, to, ctx) => {
+  const { shapes, setShapes, recordHistory, zoomLevel } = ctx;
+  // The eraser keeps the same size on screen at any zoom
+  const radius = ERASER_RADIUS / zoomLevel;
+  if (!eraseShapes(shapes, from, to, radius).changed) return;
+
+  recordHistory('Erase', { key: 'erase' });
+  setShapes(prev => eraseShapes(prev, from, to, radius).shapes);
+};
+
+/**
+ * Combine newly picked shape ids with the current selection
+ * @param {Array} selectedIds - Ids of the selected shapes
+ * @param {Array} picked - Ids of the shapes just picked
+ * @param {boolean} additive - Keep the current selection and add to it
+ * @returns {Array} - The new selection
+ */
+const mergeSelection = (selectedIds, picked, additive) => {
+  if (!additive) return picked;
+  return [...selectedIds, ...picked.filter(id => !selectedIds.includes(id))];
+};
+
+/**
+ * Select every shape a finished selection rectangle touches
+ * @param {Object} start - Where the rectangle was started
+ * @param {Object} end - Where the pointer was released
+ * @param {boolean} additive - Add to the current selection (Shift) instead of replacing it
+ * @param {Object} ctx - Context object containing state and setters
+ */
+const selectInRect = (start, end, additive, ctx) => {
+  const { shapes, zoomLevel, selectedIds, setSelectedIds, setSelectionBox } = ctx;
+  const rect = getSelectionRect(start, end);
+  const isClick = Math.max(rect.width, rect.height) * zoomLevel < MIN_SELECTION_SIZE;
+  const selected = isClick ? [] : findShapesInRect(rect, shapes).map(shape => shape.id);
+
+  setSelectionBox(null);
+  setSelectedIds(mergeSelection(selectedIds, selected, additive));
+};
+
+/**
+ * Select every shape a finished lasso loop encloses, then switch to the select tool
+ * so they can be moved, resized or deleted right away
+ * @param {Array} loop - Points of the lasso
+ * @param {boolean} additive - Add to the current selection (Shift) instead of replacing it
+ * @param {Object} ctx - Context object containing state and setters
+ */
+const selectInLasso = (loop, additive, ctx) => {
+  const { shapes, selectedIds, setSelectedIds, setActiveTool } = ctx;
+  const selected = findShapesInLasso(loop, shapes).map(shape => shape.id);
+
+  const ids = mergeSelection(selectedIds, selected, additive);
+  setSelectedIds(ids);
+  if (ids.length > 0) {
+    setActiveTool('select');
+  }
+};
+
+/**
+ * Add the pressure to a pencil point. Pens report it; mice and fingers don't,
+ * so theirs is simulated from how fast the pointer moves.
+ * @param {PointerEvent} e - The pointer event
+ * @param {Object} point - Point in scene coordinates
+ * @param {Object|null} previous - Previous point of the stroke
+ * @param {number} zoomLevel - Current zoom
+ * @returns {Object} - The point with a `pressure` from 0 to 1
+ */
+const withPressure = (e, point, previous, zoomLevel) => {
+  const pressure = e.pointerType === 'pen' && e.pressure > 0
+    ? e.pressure
+    : simulatePressure(previous, point, zoomLevel);
+  return { ...point, pressure: Math.round(pressure * 100) / 100 };
+};
+
+/**
+ * Handle pointer down events (mouse, pen or touch) on the canvas
+ * @param {PointerEvent} e
  * @param {Object} ctx - Context object containing refs, state, and setters
  */
 export function handleMouseDown(e, ctx) {
@@ -22,6 +187,7 @@ export function handleMouseDown(e, ctx) {
     canvasOffset,
     shapes,
     selectedShape,
+    selectedIds,
     isTypingText,
     textPosition
   } = ctx;
@@ -35,6 +201,10 @@ export function handleMouseDown(e, ctx) {
     setIsMovingShape,
     setDragStart,
     setResizeHandle,
+    setShapes,
+    setSelectedIds,
+    setSelectionBox,
+    recordHistory,
     confirmTextInput
   } = ctx;
   const {
@@ -75,6 +245,45 @@ export function handleMouseDown(e, ctx) {
     originalRefs.originalCanvasOffset.current = { ...canvasOffset };
     originalRefs.resizeStartPoint.current = point;
 
+    // Dragging with the middle button pans the canvas
+    if (e.button === 1) {
+      e.preventDefault();
+      setIsMovingShape(false);
+      setIsDragging(true);
+      setDragStart(point);
+      return;
+    }
+
+    // Several selected shapes are resized by the handles around them all, and moved together
+    const selection = getSelectedShapes(shapes, selectedIds);
+    if (selection.length > 1) {
+      const bounds = getSelectionBounds(selection);
+      originalRefs.originalSelection.current = { shapes: selection, bounds };
+      
+      const handle = getSelectionResizeHandles(selection, bounds).find(h => (
+        Math.abs(point.x - h.x) <= 6 && Math.abs(point.y - h.y) <= 6
+      ));
+      if (handle) {
+        setResizeHandle(handle.name);
+        setIsDragging(true);
+        setIsMovingShape(false);
+        return;
+      }
+      
+      if (
+        !e.shiftKey &&
+        point.x >= bounds.x &&
+        point.x <= bounds.x + bounds.width &&
+        point.y >= bounds.y &&
+        point.y <= bounds.y + bounds.height
+      ) {
+        setIsMovingShape(true);
+        setIsDragging(true);
+        setDragStart(point);
+        return;
+      }
+    }
+
     // Check for resize handle first
     if (selectedShape) {
       const handles = getShapeResizeHandles(selectedShape);
@@ -83,6 +292,21 @@ export function handleMouseDown(e, ctx) {
           Math.abs(point.x - handle.x) <= 6 &&
           Math.abs(point.y - handle.y) <= 6
         ) {
+          // Grabbing the middle of an arrow segment adds an elbow there and drags it
+          const segmentIndex = getMidpointHandleIndex(handle.name);
+          if (segmentIndex !== null) {
+            const bent = addElbowPoint(selectedShape, segmentIndex);
+            // Same key as the resize that follows, so adding and dragging the elbow is one undo step
+            recordHistory(`Resize ${describeShape(selectedShape)}`, { key: `resize-${selectedShape.id}` });
+            setShapes(prev => prev.map(s => (s.id === bent.id ? bent : s)));
+            setSelectedShape(bent);
+            setResizeHandle(`point-${segmentIndex + 1}`);
+            setIsDragging(true);
+            setIsMovingShape(false);
+            originalRefs.originalShapePos.current = { ...bent };
+            return;
+          }
+          
           setResizeHandle(handle.name);
           setIsDragging(true);
           setIsMovingShape(false);
@@ -94,7 +318,7 @@ export function handleMouseDown(e, ctx) {
     }
 
     // Check for moving shape
-    const clickedShape = shapes.find(sh => isPointInShape(point, sh));
+    const clickedShape = findShapeUnderPoint(point, shapes, selectedShape);
     if (clickedShape) {
       // Only select the shape if we're actually clicking ON a shape
       // This allows our deselection logic in Canvas.jsx to work
@@ -112,16 +336,41 @@ export function handleMouseDown(e, ctx) {
       return;
     }
 
-    // Pan canvas
-    // Remove this auto-deselection to let our custom logic handle it
-    // setSelectedShape(null);
-    console.log("canvasEvents: No shape clicked, letting Canvas.jsx handle deselection");
+    // Dragging on empty space draws a selection rectangle
+    // Single-shape deselection is left to Canvas.jsx
+    // Shift keeps the current selection and adds to it
+    console.log("canvasEvents: No shape clicked, starting selection rectangle");
+    if (!e.shiftKey) {
+      setSelectedIds([]);
+    }
+    setSelectionBox({ start: point, end: point });
     setIsMovingShape(false);
     setIsDragging(true);
     setDragStart(point);
     return;
   }
 
+  // The eraser starts erasing right where it's pressed
+  if (activeTool === 'eraser') {
+    setSelectedShape(null);
+    setIsMovingShape(false);
+    setIsDrawing(true);
+    setStartPoint(point);
+    eraseAlong(point, point, ctx);
+    return;
+  }
+
+  // The lasso starts a loop around the shapes to select; Shift adds to the selection
+  if (activeTool === 'lasso') {
+    if (!e.shiftKey) {
+      setSelectedIds([]);
+    }
+    setIsDrawing(true);
+    setStartPoint(point);
+    setCurrentPoints([point]);
+    return;
+  }
+
   // If we're in text mode but want to start a new text box
   if (activeTool === 'text' && !isTypingText) {
     // Make sure we have a clean text input state
@@ -137,17 +386,18 @@ export function handleMouseDown(e, ctx) {
     setSelectedShape(null);
     setIsMovingShape(false);
 
-    // Start drawing other shapes
+    // Start drawing other shapes, under the id the finished shape will get
+    originalRefs.drawingShapeId.current = generateId();
     setIsDrawing(true);
     setStartPoint(point);
     if (activeTool === 'pencil') {
-      setCurrentPoints([point]);
+      setCurrentPoints([withPressure(e, point, null, zoomLevel)]);
     }
   }
 }
 
 /**
- * Handle mouse move on the canvas, including preview, move, resize, and pan.
+ * Handle pointer move on the canvas, including preview, move, resize, and pan.
  */
 export function handleMouseMove(e, ctx) {
   const {
@@ -157,6 +407,7 @@ export function handleMouseMove(e, ctx) {
     canvasOffset,
     shapes,
     selectedShape,
+    selectedIds,
     resizeHandle,
     isDrawing,
     isDragging,
@@ -164,7 +415,9 @@ export function handleMouseMove(e, ctx) {
     startPoint,
     currentPoints,
     originalRefs,
-    dragStart
+    dragStart,
+    shapeStyle,
+    selectionBox
   } = ctx;
   const {
     setCursorPosition,
@@ -172,7 +425,9 @@ export function handleMouseMove(e, ctx) {
     setSelectedShape,
     setCanvasOffset,
     setCurrentPoints,
-    setUndoHistory
+    setStartPoint,
+    setSelectionBox,
+    recordHistory
   } = ctx;
   
   if (!canvasRef.current) return;
@@ -182,21 +437,35 @@ export function handleMouseMove(e, ctx) {
 
   const ctx2d = canvas.getContext('2d');
   
-  // Handle selection mode operations (resize, move, pan)
+  // Handle selection mode operations (resize, move, select, pan)
   if (activeTool === 'select' && isDragging) {
+    // Resize or move every selected shape together
+    const selection = originalRefs.originalSelection.current;
+    if (selectedIds.length > 1 && selection && (resizeHandle || isMovingShape)) {
+      // Every step of this drag coalesces into a single history entry
+      const action = resizeHandle ? 'Resize' : 'Move';
+      recordHistory(`${action} ${describeShapes(selection.shapes)}`, { key: `${action.toLowerCase()}-selection` });
+      const updated = resizeHandle
+        ? resizeShapes(selection.shapes, selection.bounds, resizeHandle, point)
+        : selection.shapes.map(shape => moveShape(shape, point.x - dragStart.x, point.y - dragStart.y));
+      setShapes(prev => replaceShapes(prev, updated));
+      return;
+    }
+    
     // Handle resize
     if (selectedShape && resizeHandle && originalRefs.resizeStartPoint.current) {
-      if (!originalRefs.originalShapePos.current.resizing) {
-        setUndoHistory(prev => [...prev, [...shapes]]);
-        originalRefs.originalShapePos.current.resizing = true;
-      }
+      // Every resize step of this drag coalesces into a single history entry
+      const label = resizeHandle === 'cornerRadius'
+        ? describeStyleChange(selectedShape, { cornerRadius: true })
+        : `Resize ${describeShape(selectedShape)}`;
+      recordHistory(label, { key: `resize-${selectedShape.id}` });
       const updated = resizeShape(
         selectedShape,
         resizeHandle,
         point,
         originalRefs.resizeStartPoint.current
       );
-      setShapes(prev => prev.map(s => (s.id === selectedShape.id ? updated : s)));
+      setShapes(prev => replaceShape(prev, updated));
       setSelectedShape(updated);
       return;
     }
@@ -207,20 +476,20 @@ export function handleMouseMove(e, ctx) {
       if (!original) return;
       const dx = point.x - dragStart.x;
       const dy = point.y - dragStart.y;
-      let updated;
-      if (selectedShape.type === 'pencil') {
-        updated = {
-          ...selectedShape,
-          points: original.points.map(p => ({ x: p.x + dx, y: p.y + dy }))
-        };
-      } else {
-        updated = { ...selectedShape, x: original.x + dx, y: original.y + dy };
-      }
-      setShapes(prev => prev.map(s => (s.id === selectedShape.id ? updated : s)));
+      // Every step of this drag coalesces into a single history entry
+      recordHistory(`Move ${describeShape(selectedShape)}`, { key: `move-${selectedShape.id}` });
+      const updated = moveShape(original, dx, dy);
+      setShapes(prev => replaceShape(prev, updated));
       setSelectedShape(updated);
       return;
     }
     
+    // Stretch the selection rectangle
+    if (selectionBox) {
+      setSelectionBox({ start: selectionBox.start, end: point });
+      return;
+    }
+    
     // Handle pan canvas
     if (!isMovingShape) {
       const dx = point.x - dragStart.x;
@@ -232,6 +501,23 @@ export function handleMouseMove(e, ctx) {
     }
   }
   
+  // Erase along the path the pointer moved since the last event
+  if (activeTool === 'eraser') {
+    if (isDrawing && startPoint) {
+      eraseAlong(startPoint, point, ctx);
+      setStartPoint(point);
+    }
+    return;
+  }
+
+  // Extend the lasso loop; Canvas draws it along with the cursor preview
+  if (activeTool === 'lasso') {
+    if (isDrawing) {
+      setCurrentPoints([...currentPoints, point]);
+    }
+    return;
+  }
+
   // ============================================
   // DRAWING PREVIEW - Handle live shape drawing
   // ============================================
@@ -250,51 +536,37 @@ export function handleMouseMove(e, ctx) {
     
     // Draw the preview based on the active tool
     switch (activeTool) {
+      // Previews are built and drawn exactly like the final shape,
+      // so the current color, stroke and fill show while drawing
       case 'rectangle':
-        // Draw rectangle preview with bold styling
-        const x = Math.min(startPoint.x, point.x);
-        const y = Math.min(startPoint.y, point.y);
-        const width = Math.abs(point.x - startPoint.x);
-        const height = Math.abs(point.y - startPoint.y);
-        
-        // Use a bold, visible style
-        ctx2d.lineWidth = 3;
-        ctx2d.strokeStyle = '#ff3300';
-        
-        // Draw the rectangle
-        ctx2d.strokeRect(x, y, width, height);
+        drawShape(ctx2d, withDrawingId(createRectangle(startPoint, point, shapeStyle), ctx));
         break;
         
       case 'circle':
-        // Draw circle preview
-        const dx = point.x - startPoint.x;
-        const dy = point.y - startPoint.y;
-        const radius = Math.sqrt(dx * dx + dy * dy);
+        // Shift draws a perfect circle
+        drawShape(ctx2d, withDrawingId(createCircle(startPoint, point, shapeStyle, e.shiftKey), ctx));
+        break;
         
-        // Use a bold, visible style
-        ctx2d.lineWidth = 3;
-        ctx2d.strokeStyle = '#ff3300';
-        ctx2d.beginPath();
-        ctx2d.arc(startPoint.x, startPoint.y, radius, 0, Math.PI * 2);
-        ctx2d.stroke();
+      case 'triangle':
+      case 'diamond':
+      case 'polygon':
+      case 'star':
+        drawShape(ctx2d, withDrawingId(createPolygon(activeTool, startPoint, point, shapeStyle), ctx));
         break;
         
-      case 'pencil':
-        // Draw pencil preview
-        const pts = [...currentPoints, point];
+      case 'pencil': {
+        const pts = [...currentPoints, withPressure(e, point, currentPoints[currentPoints.length - 1], zoomLevel)];
         setCurrentPoints(pts);
+        drawShape(ctx2d, withDrawingId(createPencil(pts, shapeStyle), ctx));
+        break;
+      }
         
-        // Use a bold, visible style
-        ctx2d.lineWidth = 3;
-        ctx2d.strokeStyle = '#ff3300';
-        ctx2d.beginPath();
-        ctx2d.moveTo(pts[0].x, pts[0].y);
-        
-        for (let i = 1; i < pts.length; i++) {
-          ctx2d.lineTo(pts[i].x, pts[i].y);
-        }
+      case 'line':
+        drawShape(ctx2d, withDrawingId(createLine(startPoint, point, shapeStyle), ctx));
+        break;
         
-        ctx2d.stroke();
+      case 'arrow':
+        drawShape(ctx2d, withDrawingId(createArrow(startPoint, point, shapeStyle), ctx));
         break;
         
       case 'text':
@@ -319,7 +591,7 @@ export function handleMouseMove(e, ctx) {
 }
 
 /**
- * Handle mouse up on the canvas, finalizing draws or resetting selection.
+ * Handle pointer up on the canvas, finalizing draws or resetting selection.
  */
 export function handleMouseUp(e, ctx) {
   const {
@@ -327,9 +599,15 @@ export function handleMouseUp(e, ctx) {
     activeTool,
     zoomLevel,
     canvasOffset,
-    shapes,
     startPoint,
-    currentPoints
+    currentPoints,
+    shapeStyle,
+    shapes,
+    selectedShape,
+    resizeHandle,
+    isMovingShape,
+    selectionBox,
+    originalRefs
   } = ctx;
   const {
     setIsDrawing,
@@ -339,12 +617,33 @@ export function handleMouseUp(e, ctx) {
     setCurrentPoints,
     setShapes,
     setSelectedShape,
-    setUndoHistory,
+    recordHistory,
+    endHistoryChange,
     setActiveTool,
     setStartPoint
   } = ctx;
   if (!canvasRef.current) return;
 
+  // An arrow that was moved or had an end dragged attaches to whatever its ends were dropped on
+  const isArrowGesture = resizeHandle ? resizeHandle.startsWith('point-') : isMovingShape;
+  if (activeTool === 'select' && isArrowGesture && selectedShape && supportsArrowheads(selectedShape.type)) {
+    const bound = bindArrow(selectedShape, shapes);
+    if (JSON.stringify(bound) !== JSON.stringify(selectedShape)) {
+      // Same key as the gesture, so the binding is part of its undo step
+      const action = resizeHandle ? 'resize' : 'move';
+      recordHistory(
+        `${resizeHandle ? 'Resize' : 'Move'} ${describeShape(selectedShape)}`,
+        { key: `${action}-${selectedShape.id}` }
+      );
+      setShapes(prev => prev.map(s => (s.id === bound.id ? bound : s)));
+      setSelectedShape(bound);
+    }
+  }
+
+  // Close any move/resize gesture so it becomes one undo step
+  endHistoryChange();
+  originalRefs.originalSelection.current = null;
+
   setIsDrawing(false);
   setIsDragging(false);
   setResizeHandle(null);
@@ -354,17 +653,40 @@ export function handleMouseUp(e, ctx) {
   const ctx2d = canvasRef.current.getContext('2d');
   let newShape = null;
 
+  if (activeTool === 'select' && selectionBox) {
+    selectInRect(selectionBox.start, point, e.shiftKey, ctx);
+    return;
+  }
+
+  if (activeTool === 'lasso') {
+    if (currentPoints.length > 0) {
+      selectInLasso([...currentPoints, point], e.shiftKey, ctx);
+    }
+    setCurrentPoints([]);
+    setStartPoint(null);
+    return;
+  }
+
   if (activeTool === 'pencil') {
     if (currentPoints.length < 1) {
       setCurrentPoints([]);
       return;
     }
-    newShape = handlePencilDrawing(ctx2d, [...currentPoints, point], zoomLevel, canvasOffset);
+    // Every pointer sample was recorded; keep only the points that shape the stroke
+    const last = withPressure(e, point, currentPoints[currentPoints.length - 1], zoomLevel);
+    const points = simplifyPoints([...currentPoints, last], SIMPLIFY_TOLERANCE / zoomLevel);
+    newShape = handlePencilDrawing(ctx2d, points, zoomLevel, canvasOffset, shapeStyle);
     setCurrentPoints([]);
   } else if (activeTool === 'rectangle') {
-    newShape = handleRectangleDrawing(ctx2d, startPoint, point, zoomLevel, canvasOffset);
+    newShape = handleRectangleDrawing(ctx2d, startPoint, point, zoomLevel, canvasOffset, shapeStyle);
   } else if (activeTool === 'circle') {
-    newShape = handleCircleDrawing(ctx2d, startPoint, point, zoomLevel, canvasOffset);
+    newShape = handleCircleDrawing(ctx2d, startPoint, point, zoomLevel, canvasOffset, shapeStyle, e.shiftKey);
+  } else if (isPolygonType(activeTool)) {
+    newShape = handlePolygonDrawing(ctx2d, activeTool, startPoint, point, zoomLevel, canvasOffset, shapeStyle);
+  } else if (activeTool === 'line') {
+    newShape = handleLineDrawing(ctx2d, startPoint, point, zoomLevel, canvasOffset, shapeStyle);
+  } else if (activeTool === 'arrow') {
+    newShape = handleArrowDrawing(ctx2d, startPoint, point, zoomLevel, canvasOffset, shapeStyle);
   } else if (activeTool === 'text') {
     const x = Math.min(startPoint.x, point.x);
     const y = Math.min(startPoint.y, point.y);
@@ -377,14 +699,20 @@ export function handleMouseUp(e, ctx) {
   }
 
   if (newShape) {
-    // Assign a unique ID if not already present
+    // Use the id the preview was drawn with, so the shape looks the same once added
     if (!newShape.id) {
-      newShape.id = Date.now() + Math.random().toString(36).substr(2, 9);
+      newShape.id = originalRefs.drawingShapeId.current || Date.now() + Math.random().toString(36).substr(2, 9);
+    }
+    originalRefs.drawingShapeId.current = null;
+    
+    // New arrows attach to the shapes they start or end on
+    if (supportsArrowheads(newShape.type)) {
+      newShape = bindArrow(newShape, shapes);
     }
     console.log("Adding new shape:", newShape.type, newShape.id);
     
     // Store undo history
-    setUndoHistory(prev => [...prev, [...shapes]]);
+    recordHistory(`Add ${describeShape(newShape)}`);
     
     // Add the new shape to existing shapes
     setShapes(prev => {
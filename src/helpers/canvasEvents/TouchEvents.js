@@ -0,0 +1,134 @@
+// Multi-touch gesture utilities
+import { calculateZoomOffset } from '../canvasUtils/';
+
+// Same zoom range as the wheel and zoom controls
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 5;
+
+/**
+ * Create the state a canvas keeps for touch gestures (held in a ref)
+ * @returns {Object} - {touches, pinch, active}
+ */
+export const createTouchGesture = () => ({
+  // Pointer id -> position relative to the canvas, for every finger that is down
+  touches: new Map(),
+  // Zoom, offset, finger distance and midpoint when the current pinch started
+  pinch: null,
+  // True from the second finger touching down until every finger is lifted
+  active: false
+});
+
+const getTouchPosition = (e, canvas) => {
+  const rect = canvas.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+};
+
+/**
+ * Distance and midpoint of the first two fingers
+ */
+const getPinchMetrics = (touches) => {
+  const [a, b] = Array.from(touches.values());
+  return {
+    distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+    midpoint: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+  };
+};
+
+/**
+ * Abandon whatever the first finger started (a stroke, a move, a selection) when a second finger lands
+ */
+const cancelSingleTouch = (ctx) => {
+  const {
+    setIsDrawing,
+    setCurrentPoints,
+    setIsDragging,
+    setResizeHandle,
+    setIsMovingShape,
+    setSelectionBox,
+    endHistoryChange
+  } = ctx;
+  endHistoryChange();
+  setIsDrawing(false);
+  setCurrentPoints([]);
+  setIsDragging(false);
+  setResizeHandle(null);
+  setIsMovingShape(false);
+  setSelectionBox(null);
+};
+
+/**
+ * Handle a touch pointer going down. A second finger starts a pan/pinch gesture.
+ * @param {PointerEvent} e
+ * @param {Object} ctx - Context object containing refs, state, and setters
+ * @returns {boolean} - True when the event belongs to a gesture and must not draw
+ */
+export function handleTouchStart(e, ctx) {
+  const { canvasRef, touchGesture, zoomLevel, canvasOffset } = ctx;
+  const gesture = touchGesture.current;
+  if (e.pointerType !== 'touch' || !canvasRef.current) return false;
+
+  gesture.touches.set(e.pointerId, getTouchPosition(e, canvasRef.current));
+  if (gesture.touches.size < 2) return gesture.active;
+
+  if (!gesture.active) {
+    cancelSingleTouch(ctx);
+    gesture.active = true;
+  }
+  if (!gesture.pinch) {
+    gesture.pinch = { zoomLevel, canvasOffset, ...getPinchMetrics(gesture.touches) };
+  }
+  return true;
+}
+
+/**
+ * Handle a touch pointer moving. While two fingers are down they pan the canvas and
+ * pinch to zoom around their midpoint.
+ * @param {PointerEvent} e
+ * @param {Object} ctx - Context object containing refs, state, and setters
+ * @returns {boolean} - True when the event belongs to a gesture and must not draw
+ */
+export function handleTouchMove(e, ctx) {
+  const { canvasRef, touchGesture, setZoomLevel, setCanvasOffset } = ctx;
+  const gesture = touchGesture.current;
+  if (e.pointerType !== 'touch' || !gesture.touches.has(e.pointerId) || !canvasRef.current) return false;
+
+  gesture.touches.set(e.pointerId, getTouchPosition(e, canvasRef.current));
+  if (!gesture.active) return false;
+  if (!gesture.pinch) return true;
+
+  // Everything is measured from where the pinch started, so rounding never accumulates
+  const { pinch } = gesture;
+  const { distance, midpoint } = getPinchMetrics(gesture.touches);
+  const newZoom = Math.min(Math.max(pinch.zoomLevel * (distance / pinch.distance), MIN_ZOOM), MAX_ZOOM);
+
+  // Keep the point under the starting midpoint fixed while zooming, then follow the midpoint
+  const zoomed = calculateZoomOffset(pinch.canvasOffset, pinch.zoomLevel, newZoom, pinch.midpoint);
+  setZoomLevel(newZoom);
+  setCanvasOffset({
+    x: zoomed.x + (midpoint.x - pinch.midpoint.x) / newZoom,
+    y: zoomed.y + (midpoint.y - pinch.midpoint.y) / newZoom
+  });
+  return true;
+}
+
+/**
+ * Handle a touch pointer going up or being cancelled. Fingers left over from a gesture
+ * don't draw until they are lifted too.
+ * @param {PointerEvent} e
+ * @param {Object} ctx - Context object containing refs, state, and setters
+ * @returns {boolean} - True when the event belongs to a gesture and must not draw
+ */
+export function handleTouchEnd(e, ctx) {
+  const gesture = ctx.touchGesture.current;
+  if (e.pointerType !== 'touch') return false;
+
+  const wasActive = gesture.active;
+  gesture.touches.delete(e.pointerId);
+  if (gesture.touches.size < 2) {
+    gesture.pinch = null;
+  }
+  if (gesture.touches.size === 0) {
+    gesture.active = false;
+  }
+  return wasActive;
+}
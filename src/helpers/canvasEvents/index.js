@@ -3,12 +3,15 @@
  * Central export point for all canvas event handling functions
  */
 
-// Mouse event handlers
+// Pointer event handlers (mouse, pen and single-finger touch)
 export * from './MouseEvents';
 
 // Keyboard event handlers
 export * from './KeyboardEvents';
 
+// Two-finger pan and pinch-zoom gestures
+export * from './TouchEvents';
+
 // Wheel event handlers
 export * from './WheelEvents';
 
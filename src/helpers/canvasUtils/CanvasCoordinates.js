@@ -2,6 +2,7 @@
  * Canvas Coordinate Utilities
  * Functions to handle coordinate conversions between screen and canvas space
  */
+import { isPolygonType } from '../shapeUtils';
 
 /**
  * Convert screen coordinates to canvas coordinates
@@ -124,22 +125,23 @@ export const calculateBoundingBox = (shapes) => {
   shapes.forEach(shape => {
     if (!shape) return;
     
-    if (shape.type === 'rectangle') {
+    if (shape.type === 'rectangle' || isPolygonType(shape.type)) {
       minX = Math.min(minX, shape.x);
       minY = Math.min(minY, shape.y);
       maxX = Math.max(maxX, shape.x + shape.width);
       maxY = Math.max(maxY, shape.y + shape.height);
     } else if (shape.type === 'circle') {
-      minX = Math.min(minX, shape.x - shape.radius);
-      minY = Math.min(minY, shape.y - shape.radius);
-      maxX = Math.max(maxX, shape.x + shape.radius);
-      maxY = Math.max(maxY, shape.y + shape.radius);
-    } else if (shape.type === 'text') {
+      // Circle x,y is the top-left of its bounding box (see createCircle)
+      minX = Math.min(minX, shape.x);
+      minY = Math.min(minY, shape.y);
+      maxX = Math.max(maxX, shape.x + shape.radiusX * 2);
+      maxY = Math.max(maxY, shape.y + shape.radiusY * 2);
+    } else if (shape.type === 'text' || shape.type === 'image') {
       minX = Math.min(minX, shape.x);
       minY = Math.min(minY, shape.y);
       maxX = Math.max(maxX, shape.x + (shape.width || 0));
       maxY = Math.max(maxY, shape.y + (shape.height || 0));
-    } else if (shape.type === 'pencil' && shape.points && shape.points.length > 0) {
+    } else if (['pencil', 'line', 'arrow'].includes(shape.type) && shape.points && shape.points.length > 0) {
       shape.points.forEach(point => {
         minX = Math.min(minX, point.x);
         minY = Math.min(minY, point.y);
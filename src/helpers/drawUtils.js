@@ -3,13 +3,27 @@ import * as drawingTools from './drawingTools';
 import { clearCanvas } from './canvasUtils/';
 import { 
   getShapeBoundingBox,
-  getShapeResizeHandles 
+  getShapeResizeHandles,
+  getBoxHandles,
+  isLinearShape
 } from './shapeUtils';
+import { getSelectionRect, getSelectionBounds } from './selectionUtils';
 
 const DRAWING_COLOR = '#f54a00'; // default for active text
+const SELECTION_COLOR = '#7e73ff';
+
+// Square resize handle centered on a point
+const drawSquareHandle = (ctx, handle) => {
+  ctx.fillStyle = SELECTION_COLOR;
+  ctx.fillRect(handle.x - 4, handle.y - 4, 8, 8);
+  ctx.strokeStyle = '#ffffff';
+  ctx.strokeRect(handle.x - 4, handle.y - 4, 8, 8);
+};
 
 /**
  * Draws all existing shapes and any active text input or selection handles.
+ * Several selected shapes (selectedShapes) share one box with handles around all of them,
+ * and selectionBox ({start, end}) is the rectangle being dragged out to select shapes.
  */
 export const drawAll = (
   ctx,
@@ -22,7 +36,10 @@ export const drawAll = (
   textInput,
   textPosition,
   isEditingText,
-  originalShapePosRef
+  originalShapePosRef,
+  shapeStyle = drawingTools.DEFAULT_SHAPE_STYLE,
+  selectedShapes = [],
+  selectionBox = null
 ) => {
   if (!canvasRef.current) {
     console.warn("drawAll: Canvas ref is null");
@@ -51,24 +68,7 @@ export const drawAll = (
       }
       
       try {
-        switch (shape.type) {
-          case 'rectangle':
-            drawingTools.drawRectangle(ctx, shape.x, shape.y, shape.width, shape.height, shape.color);
-            break;
-          case 'circle':
-            drawingTools.drawCircle(ctx, shape.x, shape.y, shape.radius, shape.color);
-            break;
-          case 'pencil':
-            if (shape.points?.length > 1) {
-              drawingTools.drawPencil(ctx, shape.points, shape.color);
-            }
-            break;
-          case 'text':
-            drawingTools.drawText(ctx, shape);
-            break;
-          default:
-            console.warn('Unknown shape type:', shape.type);
-        }
+        drawingTools.drawShape(ctx, shape);
       } catch (error) {
         console.error("Error drawing shape:", error, shape);
       }
@@ -83,33 +83,84 @@ export const drawAll = (
         textDecoration: isEditingText && originalShapePosRef.current?.textDecoration ? originalShapePosRef.current.textDecoration : 'none',
         align: isEditingText && originalShapePosRef.current?.align ? originalShapePosRef.current.align : 'left'
       };
-      const color = isEditingText && originalShapePosRef.current?.color ? originalShapePosRef.current.color : DRAWING_COLOR;
+      const color = isEditingText && originalShapePosRef.current?.color ? originalShapePosRef.current.color : shapeStyle.color;
       DirectTextInput.drawActiveText(ctx, textInput, textPosition, color, styleOpts);
     }
     
     // Draw selection bounding box and handles
     if (selectedShape) {
-      const box = getShapeBoundingBox(selectedShape);
-      ctx.strokeStyle = '#7e73ff';
-      ctx.lineWidth = 1.5;
-      ctx.setLineDash([6, 3]);
-      ctx.strokeRect(box.x, box.y, box.width, box.height);
-      ctx.setLineDash([]);
+      // Lines are selected by their endpoint handles alone
+      if (!isLinearShape(selectedShape)) {
+        const box = getShapeBoundingBox(selectedShape);
+        ctx.strokeStyle = SELECTION_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 3]);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+        ctx.setLineDash([]);
+      }
       
       // Draw resize handles
       const handles = getShapeResizeHandles(selectedShape);
       handles.forEach(handle => {
-        ctx.fillStyle = '#7e73ff';
-        ctx.fillRect(handle.x - 4, handle.y - 4, 8, 8);
-        ctx.strokeStyle = '#ffffff';
-        ctx.strokeRect(handle.x - 4, handle.y - 4, 8, 8);
+        // Segment midpoints (for adding elbows) are smaller, hollow dots
+        if (handle.name.startsWith('midpoint-')) {
+          ctx.beginPath();
+          ctx.arc(handle.x, handle.y, 3, 0, Math.PI * 2);
+          ctx.fillStyle = '#ffffff';
+          ctx.fill();
+          ctx.strokeStyle = SELECTION_COLOR;
+          ctx.stroke();
+          return;
+        }
+        // The corner radius handle is a filled dot inside the rectangle
+        if (handle.name === 'cornerRadius') {
+          ctx.beginPath();
+          ctx.arc(handle.x, handle.y, 4, 0, Math.PI * 2);
+          ctx.fillStyle = SELECTION_COLOR;
+          ctx.fill();
+          ctx.strokeStyle = '#ffffff';
+          ctx.stroke();
+          return;
+        }
+        drawSquareHandle(ctx, handle);
+      });
+    }
+    
+    // Draw the shared box and handles of a multi-selection, with a thin outline on each shape
+    const groupBounds = selectedShapes.length > 1 ? getSelectionBounds(selectedShapes) : null;
+    if (groupBounds) {
+      ctx.strokeStyle = SELECTION_COLOR;
+      ctx.lineWidth = 1;
+      selectedShapes.forEach(shape => {
+        const box = getShapeBoundingBox(shape);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
       });
+      
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([6, 3]);
+      ctx.strokeRect(groupBounds.x, groupBounds.y, groupBounds.width, groupBounds.height);
+      ctx.setLineDash([]);
+      getBoxHandles(groupBounds).forEach(handle => drawSquareHandle(ctx, handle));
     }
     
     ctx.restore();
   } else {
     console.log("No shapes to draw");
   }
+  
+  // Draw the selection rectangle being dragged out
+  if (selectionBox) {
+    const rect = getSelectionRect(selectionBox.start, selectionBox.end);
+    ctx.save();
+    ctx.scale(zoomLevel, zoomLevel);
+    ctx.translate(canvasOffset.x, canvasOffset.y);
+    ctx.fillStyle = 'rgba(126, 115, 255, 0.1)';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeStyle = SELECTION_COLOR;
+    ctx.lineWidth = 1 / zoomLevel;
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.restore();
+  }
 };
 
 function drawSelectionIndicator(ctx, shape, zoomLevel, canvasOffset) {
@@ -2,10 +2,135 @@
 export const DRAWING_COLOR = '#f54a00';
 export const LINE_WIDTH = 2;
 
-import { createText as createTextUtil } from './shapeUtils';
+// Fill defaults for closed shapes
+export const DEFAULT_FILL_OPACITY = 0.5;
+const HATCH_LINE_WIDTH = 1;
+
+// Style applied to new shapes until the user picks something else
+export const DEFAULT_SHAPE_STYLE = {
+  color: DRAWING_COLOR,
+  strokeWidth: LINE_WIDTH,
+  strokeStyle: 'solid',
+  roughness: 0,
+  opacity: 1,
+  fillStyle: 'none',
+  fillColor: DRAWING_COLOR,
+  fillOpacity: DEFAULT_FILL_OPACITY,
+  startArrowhead: 'none',
+  endArrowhead: 'triangle',
+  sides: DEFAULT_SIDES,
+  cornerRadius: 0,
+  smoothing: DEFAULT_SMOOTHING
+};
+
+// Largest width or height (in scene units) a newly inserted image gets
+const MAX_IMAGE_SIZE = 480;
+
+// Style properties that only apply to shapes that support a fill or a configurable stroke
+const COLOR_PROPS = ['color'];
+const FILL_PROPS = ['fillStyle', 'fillColor', 'fillOpacity'];
+const STROKE_PROPS = ['strokeWidth', 'strokeStyle', 'roughness'];
+const ARROWHEAD_PROPS = ['startArrowhead', 'endArrowhead'];
+const SIDES_PROPS = ['sides'];
+const CORNER_PROPS = ['cornerRadius'];
+const SMOOTHING_PROPS = ['smoothing'];
+
+import {
+  createText as createTextUtil,
+  supportsColor,
+  supportsFill,
+  supportsStroke,
+  supportsArrowheads,
+  getDashPattern,
+  getHatchLines,
+  getArrowhead,
+  supportsSides,
+  supportsCornerRadius,
+  getCornerRadius,
+  getPolygonVertices,
+  DEFAULT_SIDES,
+  supportsSmoothing,
+  getSmoothCurve,
+  DEFAULT_SMOOTHING,
+  getStrokeOutline
+} from './shapeUtils';
+import {
+  getRoughRectanglePaths,
+  getRoughEllipsePaths,
+  getRoughPolylinePaths,
+  getRoughLinePaths,
+  getRoughPolygonPaths
+} from './roughUtils';
+import { getCachedImage } from './imageUtils';
+
+/**
+ * Set up the stroke color, width and dash pattern for an outline
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {string} color - Stroke color
+ * @param {Object|null} style - {strokeWidth, strokeStyle}; defaults to a solid LINE_WIDTH stroke
+ */
+const applyStroke = (ctx, color, style) => {
+  const strokeWidth = style?.strokeWidth ?? LINE_WIDTH;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = strokeWidth;
+  ctx.setLineDash(getDashPattern(style?.strokeStyle, strokeWidth));
+};
+
+/**
+ * Stroke the polylines of a hand-drawn outline (see roughUtils)
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context with the stroke already set up
+ * @param {Array<Array>} paths - Polylines of {x, y} points
+ */
+const strokeRoughPaths = (ctx, paths) => {
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  paths.forEach(points => {
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+  });
+  ctx.stroke();
+};
+
+/**
+ * Paint a shape's fill inside its outline. Drawn before the stroke so the
+ * outline stays crisp on top.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Object|null} fill - {fillStyle, fillColor, fillOpacity}; nothing is drawn without one
+ * @param {Object} bounds - Bounding box of the outline {x, y, width, height}
+ * @param {Function} tracePath - Adds the outline to the current path
+ */
+const fillShape = (ctx, fill, bounds, tracePath) => {
+  if (!fill || !fill.fillStyle || fill.fillStyle === 'none') return;
+
+  ctx.save();
+  ctx.globalAlpha *= fill.fillOpacity ?? DEFAULT_FILL_OPACITY;
+  ctx.beginPath();
+  tracePath();
+
+  if (fill.fillStyle === 'solid') {
+    ctx.fillStyle = fill.fillColor || DRAWING_COLOR;
+    ctx.fill();
+  } else {
+    // Hatch lines overshoot the outline, so clip them to it
+    ctx.clip();
+    ctx.strokeStyle = fill.fillColor || DRAWING_COLOR;
+    ctx.lineWidth = HATCH_LINE_WIDTH;
+    ctx.beginPath();
+    getHatchLines(bounds, fill.fillStyle).forEach(([start, end]) => {
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+    });
+    ctx.stroke();
+  }
+
+  ctx.restore();
+};
 
 // Drawing functions
-export const drawRectangle = (ctx, x, y, width, height, color = DRAWING_COLOR) => {
+export const drawRectangle = (ctx, x, y, width, height, color = DRAWING_COLOR, style = null) => {
   // Skip invalid rectangles
   if (typeof x !== 'number' || typeof y !== 'number' || 
       typeof width !== 'number' || typeof height !== 'number') {
@@ -13,72 +138,257 @@ export const drawRectangle = (ctx, x, y, width, height, color = DRAWING_COLOR) =
     return;
   }
 
+  // Rounded corners come from the shape; never more than half the shorter side
+  const radius = getCornerRadius({ type: 'rectangle', width, height, cornerRadius: style?.cornerRadius });
+  const tracePath = () => (radius > 0 ? ctx.roundRect(x, y, width, height, radius) : ctx.rect(x, y, width, height));
+
+  fillShape(ctx, style, { x, y, width, height }, tracePath);
+
   ctx.save();
-  ctx.strokeStyle = color;
-  ctx.lineWidth = LINE_WIDTH;
-  
-  // Draw the rectangle
-  ctx.strokeRect(x, y, width, height);
+  applyStroke(ctx, color, style);
+  
+  // Draw the rectangle, hand-drawn when the shape has a roughness
+  if (style?.roughness > 0) {
+    strokeRoughPaths(ctx, getRoughRectanglePaths(
+      { x, y, width, height },
+      style.roughness,
+      style.id ?? 'rectangle',
+      radius
+    ));
+  } else if (radius > 0) {
+    ctx.beginPath();
+    tracePath();
+    ctx.stroke();
+  } else {
+    ctx.strokeRect(x, y, width, height);
+  }
   
   ctx.restore();
 };
 
-export const drawCircle = (ctx, x, y, radius, color = DRAWING_COLOR) => {
+export const drawCircle = (ctx, x, y, radiusX, radiusY, color = DRAWING_COLOR, style = null) => {
   // Skip invalid circles
   if (typeof x !== 'number' || typeof y !== 'number' || 
-      typeof radius !== 'number') {
-    console.warn('Invalid circle properties:', { x, y, radius });
+      typeof radiusX !== 'number' || typeof radiusY !== 'number') {
+    console.warn('Invalid circle properties:', { x, y, radiusX, radiusY });
     return;
   }
   
+  // Calculate center assuming x,y is top-left of bounding box
+  const cx = x + radiusX;
+  const cy = y + radiusY;
+  
+  fillShape(
+    ctx,
+    style,
+    { x, y, width: radiusX * 2, height: radiusY * 2 },
+    () => ctx.ellipse(cx, cy, radiusX, radiusY, 0, 0, Math.PI * 2)
+  );
+  
   ctx.save();
-  ctx.strokeStyle = color;
-  ctx.lineWidth = LINE_WIDTH;
+  applyStroke(ctx, color, style);
+  
+  if (style?.roughness > 0) {
+    strokeRoughPaths(ctx, getRoughEllipsePaths(
+      { cx, cy, rx: radiusX, ry: radiusY },
+      style.roughness,
+      style.id ?? 'circle'
+    ));
+  } else {
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, radiusX, radiusY, 0, 0, Math.PI * 2);
+    ctx.stroke();
+  }
   
-  ctx.beginPath();
-  // Calculate center assuming x,y is top-left of bounding box
-  ctx.arc(
-    x + radius,
-    y + radius,
-    radius,
-    0,
-    Math.PI * 2
+  ctx.restore();
+};
+
+export const drawPolygon = (ctx, vertices, color = DRAWING_COLOR, style = null) => {
+  if (!vertices || vertices.length < 3) return;
+  
+  const tracePath = () => {
+    ctx.moveTo(vertices[0].x, vertices[0].y);
+    for (let i = 1; i < vertices.length; i++) {
+      ctx.lineTo(vertices[i].x, vertices[i].y);
+    }
+    ctx.closePath();
+  };
+  
+  const xs = vertices.map(v => v.x);
+  const ys = vertices.map(v => v.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  fillShape(
+    ctx,
+    style,
+    { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY },
+    tracePath
   );
-  ctx.stroke();
+  
+  ctx.save();
+  applyStroke(ctx, color, style);
+  
+  if (style?.roughness > 0) {
+    strokeRoughPaths(ctx, getRoughPolygonPaths(vertices, style.roughness, style.id ?? 'polygon'));
+  } else {
+    ctx.beginPath();
+    tracePath();
+    ctx.stroke();
+  }
   
   ctx.restore();
 };
 
-export const drawPencil = (ctx, points, color = DRAWING_COLOR) => {
+/**
+ * Draw an image shape stretched over its box
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Object} shape - Image shape {x, y, width, height, src}
+ */
+export const drawImage = (ctx, shape) => {
+  const { x, y, width, height } = shape;
+  const image = getCachedImage(shape.src);
+
+  // Images decode asynchronously; show where the image will appear until it has
+  if (!image) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(128, 128, 128, 0.15)';
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = 'rgba(128, 128, 128, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.strokeRect(x, y, width, height);
+    ctx.restore();
+    return;
+  }
+
+  ctx.drawImage(image, x, y, width, height);
+};
+
+export const drawPencil = (ctx, points, color = DRAWING_COLOR, style = null) => {
   if (!points || points.length < 2) return;
   
   ctx.save();
-  ctx.strokeStyle = color;
-  ctx.lineWidth = LINE_WIDTH;
+  applyStroke(ctx, color, style);
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  
+  // Hand-drawn strokes are traced twice with jitter; either way each trace is a smooth curve
+  const paths = style?.roughness > 0
+    ? getRoughPolylinePaths(points, style.roughness, style.id ?? 'pencil')
+    : [points];
+  const smoothing = style?.smoothing ?? DEFAULT_SMOOTHING;
+  const strokeWidth = style?.strokeWidth ?? LINE_WIDTH;
+  
   ctx.beginPath();
-  ctx.moveTo(points[0].x, points[0].y);
-  for (let i = 1; i < points.length; i++) {
-    ctx.lineTo(points[i].x, points[i].y);
+  if (getDashPattern(style?.strokeStyle, strokeWidth).length === 0) {
+    // Solid strokes are filled outlines so their width can follow the pen pressure
+    paths.forEach(path => {
+      const outline = getStrokeOutline(path, strokeWidth, smoothing);
+      ctx.moveTo(outline[0].x, outline[0].y);
+      outline.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+      ctx.closePath();
+    });
+    ctx.fillStyle = color;
+    ctx.fill();
+  } else {
+    // Dashes can't follow a filled outline, so dashed strokes keep an even width
+    paths.forEach(path => {
+      ctx.moveTo(path[0].x, path[0].y);
+      getSmoothCurve(path, smoothing).forEach(({ cp1, cp2, to }) => {
+        ctx.bezierCurveTo(cp1.x, cp1.y, cp2.x, cp2.y, to.x, to.y);
+      });
+    });
+    ctx.stroke();
   }
-  ctx.stroke();
   ctx.restore();
 };
 
-export const drawText = (ctx, shape) => {
-  if (!shape || !shape.text) return;
+export const drawLine = (ctx, points, color = DRAWING_COLOR, style = null) => {
+  if (!points || points.length < 2) return;
   
-  // Save context state
   ctx.save();
+  applyStroke(ctx, color, style);
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  
+  if (style?.roughness > 0) {
+    strokeRoughPaths(ctx, getRoughLinePaths(points, style.roughness, style.id ?? 'line'));
+  } else {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.stroke();
+  }
+  ctx.restore();
+};
+
+/**
+ * Draw the head at one end of an arrow. Heads are always solid, even on dashed arrows.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Object|null} head - Arrowhead geometry from getArrowhead
+ * @param {string} color - Arrow color
+ * @param {number} strokeWidth - Arrow stroke width
+ */
+const drawArrowhead = (ctx, head, color, strokeWidth) => {
+  if (!head) return;
+  
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = strokeWidth;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.setLineDash([]);
+  ctx.beginPath();
   
+  switch (head.type) {
+    case 'triangle':
+      ctx.moveTo(head.points[0].x, head.points[0].y);
+      ctx.lineTo(head.points[1].x, head.points[1].y);
+      ctx.lineTo(head.points[2].x, head.points[2].y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      break;
+    case 'bar':
+      ctx.moveTo(head.points[0].x, head.points[0].y);
+      ctx.lineTo(head.points[1].x, head.points[1].y);
+      ctx.stroke();
+      break;
+    case 'dot':
+      ctx.arc(head.center.x, head.center.y, head.radius, 0, Math.PI * 2);
+      ctx.fill();
+      break;
+  }
+  ctx.restore();
+};
+
+export const drawArrow = (ctx, points, color = DRAWING_COLOR, style = null) => {
+  if (!points || points.length < 2) return;
+  
+  // The body is drawn exactly like a line, then the heads go on top
+  drawLine(ctx, points, color, style);
+  
+  const strokeWidth = style?.strokeWidth ?? LINE_WIDTH;
+  drawArrowhead(ctx, getArrowhead(points, 'start', style?.startArrowhead, strokeWidth), color, strokeWidth);
+  drawArrowhead(ctx, getArrowhead(points, 'end', style?.endArrowhead, strokeWidth), color, strokeWidth);
+};
+
+/**
+ * Lay out a text shape: pick the font size that fits its box and position every line.
+ * Shared by the canvas renderer and the SVG exporter so both place text identically.
+ * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+ * @param {Object} shape - The text shape
+ * @returns {Object} - Font settings and positioned lines {text, x, y, width}
+ */
+export const getTextLayout = (ctx, shape) => {
   // Set font style based on properties
   const fontSize = shape.fontSize || 16;
   const fontFamily = shape.fontFamily || 'Arial';
   const fontStyle = shape.fontStyle || 'normal';
   const fontWeight = shape.fontWeight || 'normal';
-  const textDecoration = shape.textDecoration || 'none';
-  
-  ctx.font = `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
-  ctx.fillStyle = shape.color || '#f54a00';
   
   // Get the bounding box for the text
   const box = {
@@ -92,10 +402,6 @@ export const drawText = (ctx, shape) => {
   const align = shape.align || 'center';
   const verticalAlign = shape.verticalAlign || 'middle';
   
-  // Draw text container for debugging if needed
-  // ctx.strokeStyle = 'rgba(0, 0, 255, 0.3)';
-  // ctx.strokeRect(box.x, box.y, box.width, box.height);
-  
   // Split text by newlines
   const lines = shape.text.split('\n');
   
@@ -163,58 +469,92 @@ export const drawText = (ctx, shape) => {
       break;
   }
   
-  // Draw each line of text with proper alignment
-  lines.forEach((line, index) => {
-    let xPos;
-    const lineY = yPos + (index * finalLineHeight);
-    const paddingLeft = 10;
-    const paddingRight = 10;
-    
-    // Calculate horizontal alignment
-    switch (align) {
-      case 'center':
-        xPos = box.x + box.width / 2;
-        ctx.textAlign = 'center';
-        break;
-      case 'right':
-        xPos = box.x + box.width - paddingRight;
-        ctx.textAlign = 'right';
-        break;
-      case 'left':
-      default:
-        xPos = box.x + paddingLeft;
-        ctx.textAlign = 'left';
-        break;
-    }
-    
-    // Draw the text
-    ctx.fillText(line, xPos, lineY);
+  // Position each line with proper alignment
+  const paddingLeft = 10;
+  const paddingRight = 10;
+  let textAlign;
+  let xPos;
+  
+  // Calculate horizontal alignment
+  switch (align) {
+    case 'center':
+      xPos = box.x + box.width / 2;
+      textAlign = 'center';
+      break;
+    case 'right':
+      xPos = box.x + box.width - paddingRight;
+      textAlign = 'right';
+      break;
+    case 'left':
+    default:
+      xPos = box.x + paddingLeft;
+      textAlign = 'left';
+      break;
+  }
+  
+  const positionedLines = lines.map((line, index) => ({
+    text: line,
+    x: xPos,
+    y: yPos + (index * finalLineHeight),
+    width: ctx.measureText(line).width
+  }));
+  
+  return {
+    font: `${fontStyle} ${fontWeight} ${adjustedFontSize}px ${fontFamily}`,
+    fontSize: adjustedFontSize,
+    fontFamily,
+    fontStyle,
+    fontWeight,
+    textAlign,
+    lines: positionedLines
+  };
+};
+
+/**
+ * Get the x position where a line's underline starts
+ * @param {Object} line - Positioned line from getTextLayout
+ * @param {string} textAlign - Alignment from getTextLayout
+ * @returns {number} - Left edge of the rendered line
+ */
+export const getLineStartX = (line, textAlign) => {
+  switch (textAlign) {
+    case 'center':
+      return line.x - line.width / 2;
+    case 'right':
+      return line.x - line.width;
+    case 'left':
+    default:
+      return line.x;
+  }
+};
+
+export const drawText = (ctx, shape) => {
+  if (!shape || !shape.text) return;
+  
+  // Save context state
+  ctx.save();
+  
+  const color = shape.color || DRAWING_COLOR;
+  const layout = getTextLayout(ctx, shape);
+  
+  ctx.font = layout.font;
+  ctx.fillStyle = color;
+  ctx.textAlign = layout.textAlign;
+  
+  // Draw each line of text
+  layout.lines.forEach(line => {
+    ctx.fillText(line.text, line.x, line.y);
     
     // Add underline if needed
-    if (textDecoration === 'underline') {
-      const metrics = ctx.measureText(line);
-      const lineWidth = metrics.width;
+    if (shape.textDecoration === 'underline') {
+      const underlineX = getLineStartX(line, layout.textAlign);
+      const underlineY = line.y + layout.fontSize * 0.8;
       
-      // Calculate underline position based on alignment
-      let underlineX;
-      switch (align) {
-        case 'center':
-          underlineX = xPos - lineWidth / 2;
-          break;
-        case 'right':
-          underlineX = xPos - lineWidth;
-          break;
-        case 'left':
-        default:
-          underlineX = xPos;
-          break;
-      }
-      
-      ctx.strokeStyle = shape.color || '#f54a00';
-      ctx.lineWidth = adjustedFontSize / 15; // Scale underline thickness with font size
+      ctx.strokeStyle = color;
+      ctx.lineWidth = layout.fontSize / 15; // Scale underline thickness with font size
       ctx.beginPath();
-      ctx.moveTo(underlineX, lineY + adjustedFontSize * 0.8);
-      ctx.lineTo(underlineX + lineWidth, lineY + adjustedFontSize * 0.8);
+      ctx.moveTo(underlineX, underlineY);
+      ctx.lineTo(underlineX + line.width, underlineY);
       ctx.stroke();
     }
   });
@@ -223,8 +563,117 @@ export const drawText = (ctx, shape) => {
   ctx.restore();
 };
 
+/**
+ * Draw any shape with the renderer for its type.
+ * Expects the canvas transform (zoom/offset) to already be applied.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Object} shape - The shape to draw
+ */
+export const drawShape = (ctx, shape) => {
+  if (!shape) return;
+
+  // Per-shape opacity multiplies with whatever alpha the caller already set
+  ctx.save();
+  ctx.globalAlpha *= shape.opacity ?? 1;
+
+  switch (shape.type) {
+    case 'rectangle':
+      drawRectangle(ctx, shape.x, shape.y, shape.width, shape.height, shape.color || DRAWING_COLOR, shape);
+      break;
+    case 'circle':
+      drawCircle(ctx, shape.x, shape.y, shape.radiusX, shape.radiusY, shape.color || DRAWING_COLOR, shape);
+      break;
+    case 'pencil':
+      if (shape.points?.length > 1) {
+        drawPencil(ctx, shape.points, shape.color || DRAWING_COLOR, shape);
+      }
+      break;
+    case 'triangle':
+    case 'diamond':
+    case 'polygon':
+    case 'star':
+      drawPolygon(ctx, getPolygonVertices(shape), shape.color || DRAWING_COLOR, shape);
+      break;
+    case 'line':
+      drawLine(ctx, shape.points, shape.color || DRAWING_COLOR, shape);
+      break;
+    case 'arrow':
+      drawArrow(ctx, shape.points, shape.color || DRAWING_COLOR, shape);
+      break;
+    case 'text':
+      drawText(ctx, shape);
+      break;
+    case 'image':
+      drawImage(ctx, shape);
+      break;
+    default:
+      console.warn('Unknown shape type:', shape.type);
+  }
+
+  ctx.restore();
+};
+
+/**
+ * Pick the style properties a shape of the given type should carry from the current style
+ * @param {Object} style - Current style, e.g. {color, strokeWidth, fillStyle}
+ * @param {string} type - Shape type; stroke and fill properties are only included where they apply
+ * @returns {Object} - Style properties to spread into the shape
+ */
+export const getStyleProps = (style = DEFAULT_SHAPE_STYLE, type) => ({
+  ...(supportsColor(type) && {
+    color: style.color || DRAWING_COLOR
+  }),
+  opacity: style.opacity ?? DEFAULT_SHAPE_STYLE.opacity,
+  ...(supportsStroke(type) && {
+    strokeWidth: style.strokeWidth ?? DEFAULT_SHAPE_STYLE.strokeWidth,
+    strokeStyle: style.strokeStyle || DEFAULT_SHAPE_STYLE.strokeStyle,
+    roughness: style.roughness ?? DEFAULT_SHAPE_STYLE.roughness
+  }),
+  ...(supportsFill(type) && {
+    fillStyle: style.fillStyle || DEFAULT_SHAPE_STYLE.fillStyle,
+    fillColor: style.fillColor || DEFAULT_SHAPE_STYLE.fillColor,
+    fillOpacity: style.fillOpacity ?? DEFAULT_SHAPE_STYLE.fillOpacity
+  }),
+  ...(supportsArrowheads(type) && {
+    startArrowhead: style.startArrowhead || DEFAULT_SHAPE_STYLE.startArrowhead,
+    endArrowhead: style.endArrowhead || DEFAULT_SHAPE_STYLE.endArrowhead
+  }),
+  ...(supportsSides(type) && {
+    sides: style.sides ?? DEFAULT_SHAPE_STYLE.sides
+  }),
+  ...(supportsCornerRadius(type) && {
+    cornerRadius: style.cornerRadius ?? DEFAULT_SHAPE_STYLE.cornerRadius
+  }),
+  ...(supportsSmoothing(type) && {
+    smoothing: style.smoothing ?? DEFAULT_SHAPE_STYLE.smoothing
+  })
+});
+
+/**
+ * Apply a style change (e.g. from the properties panel) to an existing shape.
+ * Properties the shape type doesn't support are ignored.
+ * @param {Object} shape - Shape to restyle
+ * @param {Object} patch - Changed style properties, e.g. {color: '#000000'}
+ * @returns {Object} - Restyled copy of the shape
+ */
+export const applyShapeStyle = (shape, patch) => {
+  const applicable = Object.entries(patch)
+    .filter(([key]) => supportsColor(shape.type) || !COLOR_PROPS.includes(key))
+    .filter(([key]) => supportsFill(shape.type) || !FILL_PROPS.includes(key))
+    .filter(([key]) => supportsStroke(shape.type) || !STROKE_PROPS.includes(key))
+    .filter(([key]) => supportsArrowheads(shape.type) || !ARROWHEAD_PROPS.includes(key))
+    .filter(([key]) => supportsSides(shape.type) || !SIDES_PROPS.includes(key))
+    .filter(([key]) => supportsCornerRadius(shape.type) || !CORNER_PROPS.includes(key))
+    .filter(([key]) => supportsSmoothing(shape.type) || !SMOOTHING_PROPS.includes(key));
+
+  return {
+    ...shape,
+    ...Object.fromEntries(applicable)
+  };
+};
+
 // Shape creation functions
-export const createRectangle = (start, end) => {
+export const createRectangle = (start, end, style = DEFAULT_SHAPE_STYLE) => {
   // Ensure we have valid coordinates
   if (!start || !end) {
     console.warn('Invalid coordinates for rectangle:', { start, end });
@@ -234,7 +683,7 @@ export const createRectangle = (start, end) => {
       y: 0,
       width: 10,
       height: 10,
-      color: DRAWING_COLOR
+      ...getStyleProps(style, 'rectangle')
     };
   }
   
@@ -257,11 +706,19 @@ export const createRectangle = (start, end) => {
     y,
     width: rectWidth,
     height: rectHeight,
-    color: DRAWING_COLOR
+    ...getStyleProps(style, 'rectangle')
   };
 };
 
-export const createCircle = (start, end) => {
+/**
+ * Create an ellipse spanning the box dragged from start to end
+ * @param {Object} start - Corner where the drag started
+ * @param {Object} end - Opposite corner
+ * @param {Object} style - Current style
+ * @param {boolean} isCircle - Keep both radii equal (Shift held), growing from the start corner
+ * @returns {Object} - Circle shape with radiusX/radiusY
+ */
+export const createCircle = (start, end, style = DEFAULT_SHAPE_STYLE, isCircle = false) => {
   // Ensure we have valid coordinates
   if (!start || !end) {
     console.warn('Invalid coordinates for circle:', { start, end });
@@ -269,41 +726,103 @@ export const createCircle = (start, end) => {
       type: 'circle',
       x: 0,
       y: 0,
-      radius: 10,
-      color: DRAWING_COLOR
+      radiusX: 10,
+      radiusY: 10,
+      ...getStyleProps(style, 'circle')
     };
   }
 
-  // Calculate radius based on distance between start and end points
-  const dx = end.x - start.x;
-  const dy = end.y - start.y;
-  const radius = Math.sqrt(dx * dx + dy * dy);
+  let width = Math.abs(end.x - start.x);
+  let height = Math.abs(end.y - start.y);
+  
+  if (isCircle) {
+    width = height = Math.max(width, height);
+  }
   
   // Ensure minimum radius for visibility
-  const drawRadius = Math.max(radius, 1);
+  const radiusX = Math.max(width / 2, 1);
+  const radiusY = Math.max(height / 2, 1);
   
-  // The x,y coordinates are the top-left corner of the circle's bounding box
-  // We need to adjust from the start point (which is treated as the center) to the top-left
-  const x = start.x - drawRadius;
-  const y = start.y - drawRadius;
+  // The x,y coordinates are the top-left corner of the ellipse's bounding box,
+  // on whichever side of the start corner the drag went
+  const x = end.x < start.x ? start.x - radiusX * 2 : start.x;
+  const y = end.y < start.y ? start.y - radiusY * 2 : start.y;
   
-  console.log('Creating circle:', { x, y, radius: drawRadius });
+  console.log('Creating circle:', { x, y, radiusX, radiusY });
   
   return {
     type: 'circle',
     x: x,
     y: y,
-    radius: drawRadius,
-    color: DRAWING_COLOR
+    radiusX,
+    radiusY,
+    ...getStyleProps(style, 'circle')
+  };
+};
+
+/**
+ * Create a triangle, diamond, polygon or star filling the box dragged from start to end
+ * @param {string} type - 'triangle', 'diamond', 'polygon' or 'star'
+ * @param {Object} start - Corner where the drag started
+ * @param {Object} end - Opposite corner
+ * @param {Object} style - Current style
+ * @returns {Object} - The shape
+ */
+export const createPolygon = (type, start, end, style = DEFAULT_SHAPE_STYLE) => {
+  // Polygons share the rectangle's box, so the same drag makes the same bounds
+  const { x, y, width, height } = createRectangle(start, end, style);
+  
+  return {
+    type,
+    x,
+    y,
+    width,
+    height,
+    ...getStyleProps(style, type)
   };
 };
 
-export const createPencil = (points) => ({
+export const createPencil = (points, style = DEFAULT_SHAPE_STYLE) => ({
   type: 'pencil',
   points: [...points], // Create a copy to avoid reference issues
-  color: DRAWING_COLOR
+  ...getStyleProps(style, 'pencil')
+});
+
+export const createLine = (start, end, style = DEFAULT_SHAPE_STYLE) => ({
+  type: 'line',
+  points: [{ x: start.x, y: start.y }, { x: end.x, y: end.y }],
+  ...getStyleProps(style, 'line')
 });
 
+export const createArrow = (start, end, style = DEFAULT_SHAPE_STYLE) => ({
+  type: 'arrow',
+  points: [{ x: start.x, y: start.y }, { x: end.x, y: end.y }],
+  ...getStyleProps(style, 'arrow')
+});
+
+/**
+ * Create an image shape centered on a point, scaled down to fit MAX_IMAGE_SIZE
+ * @param {Object} image - {src, width, height} with the image's pixel size
+ * @param {Object} center - Scene point to center the image on
+ * @param {Object} style - Current style
+ * @returns {Object} - The shape
+ */
+export const createImage = (image, center, style = DEFAULT_SHAPE_STYLE) => {
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.width, image.height, 1));
+  const width = Math.max(image.width * scale, 1);
+  const height = Math.max(image.height * scale, 1);
+
+  return {
+    type: 'image',
+    x: center.x - width / 2,
+    y: center.y - height / 2,
+    width,
+    height,
+    src: image.src,
+    ...getStyleProps(style, 'image')
+  };
+};
+
 export const createText = (text, x, y, width, height, fontSize = 16, color = DRAWING_COLOR) => {
   // Use the utility function from shapeUtils
   return createTextUtil(text, x, y, fontSize, {
@@ -316,7 +835,7 @@ export const createText = (text, x, y, width, height, fontSize = 16, color = DRA
 };
 
 // Drawing handler functions
-export const handleRectangleDrawing = (ctx, start, end, zoomLevel, canvasOffset) => {
+export const handleRectangleDrawing = (ctx, start, end, zoomLevel, canvasOffset, style = DEFAULT_SHAPE_STYLE) => {
   // Make sure we're working with valid coordinates
   if (!start || !end) return null;
   
@@ -327,14 +846,14 @@ export const handleRectangleDrawing = (ctx, start, end, zoomLevel, canvasOffset)
   ctx.scale(zoomLevel, zoomLevel);
   ctx.translate(canvasOffset.x, canvasOffset.y);
   
-  const shape = createRectangle(start, end);
+  const shape = createRectangle(start, end, style);
   drawRectangle(ctx, shape.x, shape.y, shape.width, shape.height, shape.color);
   
   ctx.restore();
   return shape;
 };
 
-export const handleCircleDrawing = (ctx, start, end, zoomLevel, canvasOffset) => {
+export const handleCircleDrawing = (ctx, start, end, zoomLevel, canvasOffset, style = DEFAULT_SHAPE_STYLE, isCircle = false) => {
   // Make sure we're working with valid coordinates
   if (!start || !end) return null;
   
@@ -344,18 +863,33 @@ export const handleCircleDrawing = (ctx, start, end, zoomLevel, canvasOffset) =>
   ctx.scale(zoomLevel, zoomLevel);
   ctx.translate(canvasOffset.x, canvasOffset.y);
   
-  // Create the circle shape based on start (center) and end points
-  const shape = createCircle(start, end);
+  // Create the ellipse spanning the dragged box
+  const shape = createCircle(start, end, style, isCircle);
   
   // Draw the circle using the updated drawCircle function
-  drawCircle(ctx, shape.x, shape.y, shape.radius, shape.color);
+  drawCircle(ctx, shape.x, shape.y, shape.radiusX, shape.radiusY, shape.color, shape);
   
   ctx.restore();
   return shape;
 };
 
-export const handlePencilDrawing = (ctx, points, zoomLevel, canvasOffset) => {
-  if (!points || points.length < 2) return { type: 'pencil', points: [], color: DRAWING_COLOR };
+export const handlePolygonDrawing = (ctx, type, start, end, zoomLevel, canvasOffset, style = DEFAULT_SHAPE_STYLE) => {
+  // Make sure we're working with valid coordinates
+  if (!start || !end) return null;
+  
+  ctx.save();
+  ctx.scale(zoomLevel, zoomLevel);
+  ctx.translate(canvasOffset.x, canvasOffset.y);
+  
+  const shape = createPolygon(type, start, end, style);
+  drawPolygon(ctx, getPolygonVertices(shape), shape.color, shape);
+  
+  ctx.restore();
+  return shape;
+};
+
+export const handlePencilDrawing = (ctx, points, zoomLevel, canvasOffset, style = DEFAULT_SHAPE_STYLE) => {
+  if (!points || points.length < 2) return createPencil([], style);
   
   console.log('Pencil drawing:', { points: [points[0], points[points.length-1]], zoomLevel, canvasOffset });
   
@@ -363,13 +897,49 @@ export const handlePencilDrawing = (ctx, points, zoomLevel, canvasOffset) => {
   ctx.scale(zoomLevel, zoomLevel);
   ctx.translate(canvasOffset.x, canvasOffset.y);
   
-  const shape = createPencil(points);
+  const shape = createPencil(points, style);
   drawPencil(ctx, shape.points, shape.color);
   
   ctx.restore();
   return shape;
 };
 
+export const handleLineDrawing = (ctx, start, end, zoomLevel, canvasOffset, style = DEFAULT_SHAPE_STYLE) => {
+  // Make sure we're working with valid coordinates
+  if (!start || !end) return null;
+  
+  // A click without a drag doesn't make a line
+  if (Math.hypot(end.x - start.x, end.y - start.y) < 1) return null;
+  
+  ctx.save();
+  ctx.scale(zoomLevel, zoomLevel);
+  ctx.translate(canvasOffset.x, canvasOffset.y);
+  
+  const shape = createLine(start, end, style);
+  drawLine(ctx, shape.points, shape.color, shape);
+  
+  ctx.restore();
+  return shape;
+};
+
+export const handleArrowDrawing = (ctx, start, end, zoomLevel, canvasOffset, style = DEFAULT_SHAPE_STYLE) => {
+  // Make sure we're working with valid coordinates
+  if (!start || !end) return null;
+  
+  // A click without a drag doesn't make an arrow
+  if (Math.hypot(end.x - start.x, end.y - start.y) < 1) return null;
+  
+  ctx.save();
+  ctx.scale(zoomLevel, zoomLevel);
+  ctx.translate(canvasOffset.x, canvasOffset.y);
+  
+  const shape = createArrow(start, end, style);
+  drawArrow(ctx, shape.points, shape.color, shape);
+  
+  ctx.restore();
+  return shape;
+};
+
 // Update text drawing handler
 export const handleTextDrawing = (ctx, text, position, fontSize, options, zoomLevel, canvasOffset) => {
   if (!position) return null;
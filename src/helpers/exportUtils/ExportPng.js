@@ -0,0 +1,138 @@
+/**
+ * PNG Export
+ * Renders shapes onto an offscreen canvas fitted to their content bounds
+ */
+import { drawShape, LINE_WIDTH } from '../drawingTools';
+import { calculateBoundingBox } from '../canvasUtils/';
+import { getArrowheads, getArrowheadSize } from '../shapeUtils';
+import { saveFile } from '../sceneUtils';
+import { preloadImages } from '../imageUtils';
+
+export const EXPORT_SCALES = [1, 2, 3];
+export const DEFAULT_EXPORT_PADDING = 10;
+
+// Canvas background colors for each theme (match bg-white / bg-zinc-900)
+export const THEME_BACKGROUNDS = {
+  light: '#ffffff',
+  dark: '#18181b'
+};
+
+/**
+ * Calculate the scene-space area to export
+ * @param {Array} shapes - Shapes being exported
+ * @param {number} padding - Extra space around the content
+ * @returns {{x: number, y: number, width: number, height: number}} - Export bounds
+ */
+export const getExportBounds = (shapes, padding = DEFAULT_EXPORT_PADDING) => {
+  const box = calculateBoundingBox(shapes);
+  // Strokes are centered on the outline, so half of them sits outside the box,
+  // and arrowheads can reach past the end of their arrow
+  const strokeWidth = Math.max(LINE_WIDTH, ...shapes.map(shape => (
+    getArrowheads(shape).length > 0
+      ? getArrowheadSize(shape.strokeWidth)
+      : shape?.strokeWidth || 0
+  )));
+  const margin = padding + strokeWidth;
+
+  return {
+    x: box.x - margin,
+    y: box.y - margin,
+    width: box.width + margin * 2,
+    height: box.height + margin * 2
+  };
+};
+
+/**
+ * Render shapes onto a new canvas cropped to their content
+ * @param {Array} shapes - Shapes to render
+ * @param {Object} options - Export options
+ * @param {number} options.scale - Pixel scale (1x, 2x, 3x)
+ * @param {number} options.padding - Space around the content in scene units
+ * @param {string|null} options.background - Background color, or null for transparent
+ * @returns {HTMLCanvasElement} - The rendered canvas
+ */
+export const exportToCanvas = (shapes, options = {}) => {
+  const {
+    scale = 1,
+    padding = DEFAULT_EXPORT_PADDING,
+    background = null
+  } = options;
+
+  const bounds = getExportBounds(shapes, padding);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(bounds.width * scale));
+  canvas.height = Math.max(1, Math.ceil(bounds.height * scale));
+
+  const ctx = canvas.getContext('2d');
+
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  // Map the export bounds onto the canvas
+  ctx.scale(scale, scale);
+  ctx.translate(-bounds.x, -bounds.y);
+
+  shapes.forEach(shape => {
+    try {
+      drawShape(ctx, shape);
+    } catch (error) {
+      console.error('Error exporting shape:', error, shape);
+    }
+  });
+
+  return canvas;
+};
+
+/**
+ * Render a small preview image of shapes, scaled down to fit the given size
+ * @param {Array} shapes - Shapes to render
+ * @param {number} maxWidth - Maximum thumbnail width in pixels
+ * @param {number} maxHeight - Maximum thumbnail height in pixels
+ * @param {Object} options - Padding and background, see exportToCanvas; the scale is fitted
+ * @returns {string|null} - PNG data URL, or null if there is nothing to draw
+ */
+export const exportToThumbnail = (shapes, maxWidth, maxHeight, options = {}) => {
+  if (!shapes || shapes.length === 0) return null;
+
+  const bounds = getExportBounds(shapes, options.padding);
+  const scale = Math.min(maxWidth / bounds.width, maxHeight / bounds.height, 1);
+  return exportToCanvas(shapes, { ...options, scale }).toDataURL('image/png');
+};
+
+/**
+ * Render shapes to a PNG blob, once every image in them has loaded
+ * @param {Array} shapes - Shapes to render
+ * @param {Object} options - Export options (see exportToCanvas)
+ * @returns {Promise<Blob>} - PNG image data
+ */
+export const exportToPngBlob = async (shapes, options) => {
+  await preloadImages(shapes);
+  const canvas = exportToCanvas(shapes, options);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode PNG'));
+      }
+    }, 'image/png');
+  });
+};
+
+/**
+ * Export shapes as a PNG file
+ * @param {Array} shapes - Shapes to export
+ * @param {Object} options - Export options (see exportToCanvas)
+ * @param {string} fileName - Suggested file name
+ * @returns {Promise<boolean>} - Whether the file was saved
+ */
+export const exportPng = async (shapes, options, fileName = 'drawing.png') => {
+  const blob = await exportToPngBlob(shapes, options);
+  return saveFile(blob, fileName, {
+    description: 'PNG image',
+    accept: { 'image/png': ['.png'] }
+  });
+};
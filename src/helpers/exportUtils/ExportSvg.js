@@ -0,0 +1,408 @@
+/**
+ * SVG Export
+ * Converts shapes into SVG elements that mirror how drawingTools.js paints them
+ */
+import { DRAWING_COLOR, LINE_WIDTH, DEFAULT_FILL_OPACITY, getTextLayout, getLineStartX } from '../drawingTools';
+import {
+  hasFill,
+  getHatchLines,
+  getDashPattern,
+  getArrowheads,
+  getPolygonVertices,
+  getCornerRadius,
+  getSmoothCurve,
+  DEFAULT_SMOOTHING,
+  getStrokeOutline
+} from '../shapeUtils';
+import { getRoughPaths } from '../roughUtils';
+import { saveFile } from '../sceneUtils';
+import { getExportBounds, DEFAULT_EXPORT_PADDING } from './ExportPng';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Canvas textAlign values mapped to SVG text-anchor
+const TEXT_ANCHORS = {
+  left: 'start',
+  center: 'middle',
+  right: 'end'
+};
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Round coordinates to keep the output small
+const num = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build an element string from a tag name and attributes
+ * @param {string} tag - Element name
+ * @param {Object} attrs - Attributes; undefined values are left out
+ * @param {string} content - Optional text content (already escaped)
+ * @returns {string} - SVG markup
+ */
+const element = (tag, attrs, content) => {
+  const attrString = Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}="${escapeXml(typeof value === 'number' ? num(value) : value)}"`)
+    .join(' ');
+
+  return content === undefined
+    ? `<${tag} ${attrString}/>`
+    : `<${tag} ${attrString}>${content}</${tag}>`;
+};
+
+/**
+ * Build an SVG path through a list of points
+ * @param {Array} points - Array of {x, y}
+ * @returns {string} - Path data
+ */
+const pointsToPath = (points) => points
+  .map((point, index) => `${index === 0 ? 'M' : 'L'}${num(point.x)} ${num(point.y)}`)
+  .join(' ');
+
+/**
+ * Build a single path through several polylines (e.g. the passes of a rough outline)
+ * @param {Array<Array>} paths - Polylines of {x, y} points
+ * @returns {string} - Path data
+ */
+const pathsToPath = (paths) => paths.map(pointsToPath).join(' ');
+
+/**
+ * Build a single path of smooth curves through several polylines, like drawPencil traces them
+ * @param {Array<Array>} paths - Polylines of {x, y} points
+ * @param {number} smoothing - Smoothing strength (see getSmoothCurve)
+ * @returns {string} - Path data
+ */
+const smoothPathsToPath = (paths, smoothing) => paths
+  .map(points => [
+    `M${num(points[0].x)} ${num(points[0].y)}`,
+    ...getSmoothCurve(points, smoothing).map(({ cp1, cp2, to }) => (
+      `C${num(cp1.x)} ${num(cp1.y)} ${num(cp2.x)} ${num(cp2.y)} ${num(to.x)} ${num(to.y)}`
+    ))
+  ].join(' '))
+  .join(' ');
+
+// Pencil strokes and rough outlines get round ends and joins like on canvas
+const ROUND_STROKE_ATTRS = {
+  'stroke-linecap': 'round',
+  'stroke-linejoin': 'round'
+};
+
+const strokeAttrs = (shape) => {
+  const strokeWidth = shape.strokeWidth ?? LINE_WIDTH;
+  const dashPattern = getDashPattern(shape.strokeStyle, strokeWidth);
+
+  return {
+    fill: 'none',
+    stroke: shape.color || DRAWING_COLOR,
+    'stroke-width': strokeWidth,
+    'stroke-dasharray': dashPattern.length > 0 ? dashPattern.join(' ') : undefined
+  };
+};
+
+/**
+ * Convert a closed shape into its outline element, plus clipped hatch lines for hatched fills
+ * @param {string} tag - Outline element name, e.g. 'rect'
+ * @param {Object} geometry - Outline attributes, e.g. {x, y, width, height}
+ * @param {Object} bounds - Bounding box of the outline
+ * @param {Object} shape - The shape
+ * @returns {Array<string>} - SVG markup for each element
+ */
+const closedShapeToSvg = (tag, geometry, bounds, shape) => {
+  const elements = [];
+  const fillColor = shape.fillColor || DRAWING_COLOR;
+  const fillOpacity = shape.fillOpacity ?? DEFAULT_FILL_OPACITY;
+  const roughPaths = getRoughPaths(shape);
+  // A rough shape's fill uses the clean geometry, its outline is drawn separately
+  const outline = roughPaths ? { ...geometry, fill: 'none' } : { ...geometry, ...strokeAttrs(shape) };
+
+  if (hasFill(shape) && shape.fillStyle === 'solid') {
+    outline.fill = fillColor;
+    outline['fill-opacity'] = fillOpacity;
+  } else if (hasFill(shape)) {
+    // Hatch lines overshoot the outline, so clip them to it like the canvas renderer does
+    const clipId = `fill-${shape.id}`;
+    const hatchPath = pathsToPath(getHatchLines(bounds, shape.fillStyle));
+
+    elements.push(element('clipPath', { id: clipId }, element(tag, geometry)));
+    elements.push(element('path', {
+      d: hatchPath,
+      fill: 'none',
+      stroke: fillColor,
+      'stroke-opacity': fillOpacity,
+      'stroke-width': 1,
+      'clip-path': `url(#${clipId})`
+    }));
+  }
+
+  if (roughPaths) {
+    if (outline.fill !== 'none') {
+      elements.push(element(tag, outline));
+    }
+    elements.push(element('path', {
+      d: pathsToPath(roughPaths),
+      ...strokeAttrs(shape),
+      ...ROUND_STROKE_ATTRS
+    }));
+  } else {
+    elements.push(element(tag, outline));
+  }
+  return elements;
+};
+
+/**
+ * Convert an arrow's heads into elements. Heads are solid like on canvas.
+ * @param {Object} shape - The arrow
+ * @returns {Array<string>} - SVG markup for each head
+ */
+const arrowheadsToSvg = (shape) => {
+  const color = shape.color || DRAWING_COLOR;
+  const strokeWidth = shape.strokeWidth ?? LINE_WIDTH;
+
+  return getArrowheads(shape).map(head => {
+    switch (head.type) {
+      case 'triangle':
+        return element('path', {
+          d: `${pointsToPath(head.points)} Z`,
+          fill: color,
+          stroke: color,
+          'stroke-width': strokeWidth,
+          ...ROUND_STROKE_ATTRS
+        });
+      case 'bar':
+        return element('path', {
+          d: pointsToPath(head.points),
+          fill: 'none',
+          stroke: color,
+          'stroke-width': strokeWidth,
+          ...ROUND_STROKE_ATTRS
+        });
+      default:
+        return element('circle', {
+          cx: head.center.x,
+          cy: head.center.y,
+          r: head.radius,
+          fill: color
+        });
+    }
+  });
+};
+
+/**
+ * Convert a text shape into <text> elements (plus underline paths)
+ * @param {CanvasRenderingContext2D} measureCtx - Context used to measure text like drawText does
+ * @param {Object} shape - The text shape
+ * @returns {Array<string>} - SVG markup for each element
+ */
+const textToSvg = (measureCtx, shape) => {
+  if (!shape.text) return [];
+
+  const color = shape.color || DRAWING_COLOR;
+  const layout = getTextLayout(measureCtx, shape);
+  const elements = [];
+
+  layout.lines.forEach(line => {
+    elements.push(element('text', {
+      x: line.x,
+      y: line.y,
+      fill: color,
+      'font-family': layout.fontFamily,
+      'font-size': layout.fontSize,
+      'font-weight': layout.fontWeight !== 'normal' ? layout.fontWeight : undefined,
+      'font-style': layout.fontStyle !== 'normal' ? layout.fontStyle : undefined,
+      'text-anchor': TEXT_ANCHORS[layout.textAlign],
+      'xml:space': 'preserve'
+    }, escapeXml(line.text)));
+
+    if (shape.textDecoration === 'underline' && line.width > 0) {
+      const underlineX = getLineStartX(line, layout.textAlign);
+      const underlineY = line.y + layout.fontSize * 0.8;
+      elements.push(element('path', {
+        d: pointsToPath([
+          { x: underlineX, y: underlineY },
+          { x: underlineX + line.width, y: underlineY }
+        ]),
+        stroke: color,
+        'stroke-width': layout.fontSize / 15
+      }));
+    }
+  });
+
+  return elements;
+};
+
+/**
+ * Convert a single shape into SVG markup
+ * @param {CanvasRenderingContext2D} measureCtx - Context used to measure text
+ * @param {Object} shape - The shape to convert
+ * @returns {Array<string>} - SVG markup for the shape's elements
+ */
+export const shapeToSvgElements = (measureCtx, shape) => {
+  if (!shape) return [];
+
+  switch (shape.type) {
+    case 'rectangle': {
+      const bounds = { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
+      const radius = getCornerRadius(shape);
+      const geometry = radius > 0 ? { ...bounds, rx: radius, ry: radius } : bounds;
+      return closedShapeToSvg('rect', geometry, bounds, shape);
+    }
+
+    case 'circle':
+      // x,y is the top-left of the circle's bounding box
+      return closedShapeToSvg('ellipse', {
+        cx: shape.x + shape.radiusX,
+        cy: shape.y + shape.radiusY,
+        rx: shape.radiusX,
+        ry: shape.radiusY
+      }, {
+        x: shape.x,
+        y: shape.y,
+        width: shape.radiusX * 2,
+        height: shape.radiusY * 2
+      }, shape);
+
+    case 'triangle':
+    case 'diamond':
+    case 'polygon':
+    case 'star': {
+      const bounds = { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
+      const points = getPolygonVertices(shape).map(v => `${num(v.x)},${num(v.y)}`).join(' ');
+      return closedShapeToSvg('polygon', { points }, bounds, shape);
+    }
+
+    case 'pencil': {
+      if (!shape.points || shape.points.length < 2) return [];
+      const strokeWidth = shape.strokeWidth ?? LINE_WIDTH;
+      const smoothing = shape.smoothing ?? DEFAULT_SMOOTHING;
+      if (getDashPattern(shape.strokeStyle, strokeWidth).length === 0) {
+        // Solid strokes are filled outlines whose width follows the pen pressure, as on the canvas
+        const outlines = (getRoughPaths(shape) || [shape.points])
+          .map(points => getStrokeOutline(points, strokeWidth, smoothing));
+        return [element('path', {
+          d: outlines.map(outline => `${pointsToPath(outline)} Z`).join(' '),
+          fill: shape.color || DRAWING_COLOR
+        })];
+      }
+      return [element('path', {
+        d: smoothPathsToPath(getRoughPaths(shape) || [shape.points], smoothing),
+        ...strokeAttrs(shape),
+        ...ROUND_STROKE_ATTRS
+      })];
+    }
+
+    case 'line':
+      if (!shape.points || shape.points.length < 2) return [];
+      return [element('path', {
+        d: pathsToPath(getRoughPaths(shape) || [shape.points]),
+        ...strokeAttrs(shape),
+        ...ROUND_STROKE_ATTRS
+      })];
+
+    case 'arrow':
+      if (!shape.points || shape.points.length < 2) return [];
+      return [
+        element('path', {
+          d: pathsToPath(getRoughPaths(shape) || [shape.points]),
+          ...strokeAttrs(shape),
+          ...ROUND_STROKE_ATTRS
+        }),
+        ...arrowheadsToSvg(shape)
+      ];
+
+    case 'text':
+      return textToSvg(measureCtx, shape);
+
+    case 'image':
+      return [element('image', {
+        href: shape.src,
+        x: shape.x,
+        y: shape.y,
+        width: shape.width,
+        height: shape.height,
+        preserveAspectRatio: 'none'
+      })];
+
+    default:
+      console.warn('Unknown shape type for SVG export:', shape.type);
+      return [];
+  }
+};
+
+/**
+ * Render shapes into an SVG document cropped to their content
+ * @param {Array} shapes - Shapes to export
+ * @param {Object} options - Export options
+ * @param {number} options.padding - Space around the content in scene units
+ * @param {string|null} options.background - Background color, or null for transparent
+ * @returns {string} - SVG document
+ */
+export const exportToSvg = (shapes, options = {}) => {
+  const {
+    padding = DEFAULT_EXPORT_PADDING,
+    background = null
+  } = options;
+
+  const bounds = getExportBounds(shapes, padding);
+  const measureCtx = document.createElement('canvas').getContext('2d');
+
+  const body = [];
+  if (background) {
+    body.push(element('rect', {
+      x: bounds.x,
+      y: bounds.y,
+      width: bounds.width,
+      height: bounds.height,
+      fill: background
+    }));
+  }
+
+  shapes.forEach(shape => {
+    try {
+      const elements = shapeToSvgElements(measureCtx, shape);
+      // Group the shape's elements so opacity applies to it as a whole, like globalAlpha
+      const opacity = shape.opacity ?? 1;
+      if (opacity < 1 && elements.length > 0) {
+        body.push(element('g', { opacity }, elements.join('')));
+      } else {
+        body.push(...elements);
+      }
+    } catch (error) {
+      console.error('Error exporting shape to SVG:', error, shape);
+    }
+  });
+
+  // The viewBox maps scene coordinates straight onto the image
+  const header = element('svg', {
+    xmlns: SVG_NAMESPACE,
+    width: bounds.width,
+    height: bounds.height,
+    viewBox: `${num(bounds.x)} ${num(bounds.y)} ${num(bounds.width)} ${num(bounds.height)}`
+  }, '\n  ' + body.join('\n  ') + '\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${header}\n`;
+};
+
+/**
+ * Export shapes as an SVG file
+ * @param {Array} shapes - Shapes to export
+ * @param {Object} options - Export options (see exportToSvg)
+ * @param {string} fileName - Suggested file name
+ * @returns {Promise<boolean>} - Whether the file was saved
+ */
+export const exportSvg = (shapes, options, fileName = 'drawing.svg') => {
+  const blob = new Blob([exportToSvg(shapes, options)], { type: 'image/svg+xml' });
+  return saveFile(blob, fileName, {
+    description: 'SVG image',
+    accept: { 'image/svg+xml': ['.svg'] }
+  });
+};
@@ -0,0 +1,10 @@
+/**
+ * Export Utilities Index
+ * Central export point for image export functions
+ */
+
+// PNG export
+export * from './ExportPng';
+
+// SVG export
+export * from './ExportSvg';
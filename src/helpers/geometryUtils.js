@@ -13,14 +13,19 @@ export function getShapeBoundingBox(shape) {
 
   switch (shape.type) {
     case 'rectangle':
+    case 'triangle':
+    case 'diamond':
+    case 'polygon':
+    case 'star':
     case 'text':
+    case 'image':
       // Top-left with explicit width/height
       return { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
 
     case 'circle':
       // Assume shape.x,y is center or top-left? If createCircle uses top-left+radius, adjust accordingly
       // Here we assume x,y is top-left of bounding box
-      return { x: shape.x, y: shape.y, width: shape.radius * 2, height: shape.radius * 2 };
+      return { x: shape.x, y: shape.y, width: shape.radiusX * 2, height: shape.radiusY * 2 };
 
     case 'pencil':
       // Compute min/max over all points
@@ -0,0 +1,157 @@
+/**
+ * History Diff
+ * Undo/redo entries store only the shapes that changed plus the id order,
+ * instead of whole snapshots of the shapes array
+ */
+import { stripTransientProps } from '../sceneUtils';
+
+/**
+ * Index shapes by id
+ * @param {Array} shapes - Array of shape objects
+ * @returns {Map} - Map of id to shape
+ */
+const indexById = (shapes) => new Map(shapes.map(shape => [shape.id, shape]));
+
+/**
+ * Compare two versions of the shapes array and describe how to get from one to the other
+ * @param {Array} prevShapes - Shapes before the change
+ * @param {Array} nextShapes - Shapes after the change
+ * @param {string} label - Human readable description of the change
+ * @returns {Object|null} - History entry {label, before, after}, or null if nothing changed
+ */
+export const createHistoryEntry = (prevShapes, nextShapes, label) => {
+  const prevById = indexById(prevShapes);
+  const nextById = indexById(nextShapes);
+  const changedIds = new Set();
+
+  // Shapes are updated immutably, so a new reference means the shape changed
+  prevById.forEach((shape, id) => {
+    if (nextById.get(id) !== shape) changedIds.add(id);
+  });
+  nextById.forEach((shape, id) => {
+    if (prevById.get(id) !== shape) changedIds.add(id);
+  });
+
+  const prevOrder = prevShapes.map(shape => shape.id);
+  const nextOrder = nextShapes.map(shape => shape.id);
+  const orderChanged = prevOrder.length !== nextOrder.length ||
+    prevOrder.some((id, index) => id !== nextOrder[index]);
+
+  if (changedIds.size === 0 && !orderChanged) {
+    return null;
+  }
+
+  const before = new Map();
+  const after = new Map();
+  changedIds.forEach(id => {
+    // Editing flags must never come back on undo/redo
+    before.set(id, prevById.has(id) ? stripTransientProps(prevById.get(id)) : null);
+    after.set(id, nextById.has(id) ? stripTransientProps(nextById.get(id)) : null);
+  });
+
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+    label,
+    timestamp: Date.now(),
+    before: { shapes: before, order: prevOrder },
+    after: { shapes: after, order: nextOrder }
+  };
+};
+
+/**
+ * Apply one side of a history entry to the current shapes
+ * @param {Array} shapes - Current shapes array
+ * @param {Object} state - entry.before (undo) or entry.after (redo)
+ * @returns {Array} - The shapes array for that point in history
+ */
+export const applyHistoryState = (shapes, state) => {
+  const byId = indexById(shapes);
+
+  state.shapes.forEach((shape, id) => {
+    if (shape) {
+      byId.set(id, shape);
+    } else {
+      byId.delete(id);
+    }
+  });
+
+  return state.order.map(id => byId.get(id)).filter(Boolean);
+};
+
+/**
+ * Reconstruct the shapes array at every point of the history timeline.
+ * Position 0 is the state before the oldest entry, position N is after entry N.
+ * @param {Array} shapes - Current shapes array
+ * @param {Array} undoStack - Entries that can be undone (oldest first)
+ * @param {Array} redoStack - Entries that can be redone (most recently undone last)
+ * @returns {Array<Array>} - Shapes arrays for positions 0..(undo + redo length)
+ */
+export const getHistoryStates = (shapes, undoStack, redoStack) => {
+  const states = [shapes];
+
+  // Walk backwards through the undo stack
+  for (let i = undoStack.length - 1; i >= 0; i--) {
+    states.unshift(applyHistoryState(states[0], undoStack[i].before));
+  }
+
+  // And forwards through the redo stack
+  for (let i = redoStack.length - 1; i >= 0; i--) {
+    states.push(applyHistoryState(states[states.length - 1], redoStack[i].after));
+  }
+
+  return states;
+};
+
+/**
+ * Describe a shape for history labels, e.g. "rectangle" or "pencil stroke"
+ * @param {Object} shape - The shape
+ * @returns {string} - Short description
+ */
+export const describeShape = (shape) => {
+  if (!shape) return 'shape';
+
+  switch (shape.type) {
+    case 'pencil':
+      return 'pencil stroke';
+    default:
+      return shape.type;
+  }
+};
+
+/**
+ * Short human-readable name for one or several shapes, used in history labels
+ * @param {Array} shapes - The shapes
+ * @returns {string} - e.g. "rectangle" or "3 shapes"
+ */
+export const describeShapes = (shapes) => {
+  return shapes.length === 1 ? describeShape(shapes[0]) : `${shapes.length} shapes`;
+};
+
+// Names used in history labels for style properties
+const STYLE_PROPERTY_NAMES = {
+  color: 'color',
+  strokeWidth: 'stroke width',
+  strokeStyle: 'stroke style',
+  roughness: 'roughness',
+  opacity: 'opacity',
+  fillStyle: 'fill',
+  fillColor: 'fill color',
+  fillOpacity: 'fill opacity',
+  startArrowhead: 'start arrowhead',
+  endArrowhead: 'end arrowhead',
+  sides: 'sides',
+  cornerRadius: 'corner radius',
+  smoothing: 'smoothing'
+};
+
+/**
+ * Describe a style change for history labels, e.g. "Change rectangle color" or "Change 3 shapes color"
+ * @param {Object|Array} shape - The restyled shape, or the shapes restyled together
+ * @param {Object} patch - Changed style properties
+ * @returns {string} - History label
+ */
+export const describeStyleChange = (shape, patch) => {
+  const names = Object.keys(patch).map(key => STYLE_PROPERTY_NAMES[key] || key);
+  const subject = Array.isArray(shape) ? describeShapes(shape) : describeShape(shape);
+  return `Change ${subject} ${names.join(', ')}`;
+};
@@ -0,0 +1,7 @@
+/**
+ * History Utilities Index
+ * Central export point for undo/redo helpers
+ */
+
+// Diff-based history entries
+export * from './HistoryDiff';
@@ -0,0 +1,92 @@
+/**
+ * Image Cache
+ * Image shapes only store their source (a data URL), so the decoded <img> elements are kept here
+ * and shared by every redraw and export. Images decode asynchronously; listeners are told when
+ * one finishes so the canvas can redraw.
+ */
+
+// Source -> {image, status} where status is 'loading', 'loaded' or 'error'
+const cache = new Map();
+
+const loadListeners = new Set();
+
+/**
+ * Start decoding an image source if it isn't cached yet
+ * @param {string} src - Image source
+ * @returns {Object} - Cache entry {image, status, promise}
+ */
+const loadEntry = (src) => {
+  let entry = cache.get(src);
+  if (entry) return entry;
+
+  const image = new Image();
+  entry = { image, status: 'loading' };
+  entry.promise = new Promise((resolve) => {
+    image.onload = () => {
+      entry.status = 'loaded';
+      loadListeners.forEach(listener => listener(src));
+      resolve(image);
+    };
+    image.onerror = () => {
+      console.warn('Failed to load image:', src.slice(0, 64));
+      entry.status = 'error';
+      resolve(null);
+    };
+  });
+  image.src = src;
+  cache.set(src, entry);
+  return entry;
+};
+
+/**
+ * Get the decoded image for a source, starting to load it if needed
+ * @param {string} src - Image source
+ * @returns {HTMLImageElement|null} - The image, or null while it is loading or if it failed
+ */
+export const getCachedImage = (src) => {
+  if (!src) return null;
+  const entry = loadEntry(src);
+  return entry.status === 'loaded' ? entry.image : null;
+};
+
+/**
+ * Wait until every image shape in a list has finished loading, e.g. before exporting
+ * @param {Array} shapes - Shapes to check
+ * @returns {Promise<void>}
+ */
+export const preloadImages = async (shapes) => {
+  const sources = (shapes || [])
+    .filter(shape => shape?.type === 'image' && shape.src)
+    .map(shape => shape.src);
+  await Promise.all(sources.map(src => loadEntry(src).promise));
+};
+
+/**
+ * Drop the decoded images no shape uses anymore (deleted, undone or erased), so they can be
+ * garbage collected. An image that comes back, e.g. on redo, is simply decoded again.
+ * @param {Array} shapes - Every shape in the scene
+ */
+export const pruneImageCache = (shapes) => {
+  if (cache.size === 0) return;
+
+  const sources = new Set(
+    (shapes || [])
+      .filter(shape => shape?.type === 'image' && shape.src)
+      .map(shape => shape.src)
+  );
+  for (const src of cache.keys()) {
+    if (!sources.has(src)) {
+      cache.delete(src);
+    }
+  }
+};
+
+/**
+ * Get notified whenever an image finishes loading
+ * @param {Function} listener - Called with the image source
+ * @returns {Function} - Unsubscribe
+ */
+export const onImageLoad = (listener) => {
+  loadListeners.add(listener);
+  return () => loadListeners.delete(listener);
+};
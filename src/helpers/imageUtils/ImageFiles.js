@@ -0,0 +1,52 @@
+/**
+ * Image Files
+ * Reading image files from the clipboard, drag-and-drop and the file picker
+ */
+
+// File types accepted by the image picker
+export const IMAGE_FILE_ACCEPT = 'image/png,image/jpeg,image/gif,image/webp,image/svg+xml';
+
+/**
+ * Check whether a file is an image
+ * @param {File} file - The file
+ * @returns {boolean}
+ */
+export const isImageFile = (file) => !!file && typeof file.type === 'string' && file.type.startsWith('image/');
+
+/**
+ * Get the image files from a clipboard or drag-and-drop payload
+ * @param {DataTransfer} dataTransfer - clipboardData or dataTransfer of the event
+ * @returns {Array<File>} - Image files, in order
+ */
+export const getImageFiles = (dataTransfer) => {
+  if (!dataTransfer) return [];
+
+  // Clipboard data exposes pasted screenshots as items rather than files in some browsers
+  const files = dataTransfer.files?.length > 0
+    ? Array.from(dataTransfer.files)
+    : Array.from(dataTransfer.items || [])
+      .filter(item => item.kind === 'file')
+      .map(item => item.getAsFile());
+
+  return files.filter(isImageFile);
+};
+
+/**
+ * Read an image file as a data URL along with its pixel size
+ * @param {File} file - Image file
+ * @returns {Promise<{src: string, width: number, height: number}>} - Data URL and natural size
+ */
+export const readImageFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(reader.error);
+    reader.onload = () => {
+      const src = reader.result;
+      const image = new Image();
+      image.onload = () => resolve({ src, width: image.naturalWidth, height: image.naturalHeight });
+      image.onerror = () => reject(new Error(`Could not read image "${file.name}"`));
+      image.src = src;
+    };
+    reader.readAsDataURL(file);
+  });
+};
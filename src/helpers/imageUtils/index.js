@@ -0,0 +1,10 @@
+/**
+ * Image Utilities Index
+ * Central export point for image shape helpers
+ */
+
+// Decoded images shared by rendering and export
+export * from './ImageCache';
+
+// Clipboard, drag-and-drop and file picker input
+export * from './ImageFiles';
@@ -0,0 +1,297 @@
+/**
+ * Rough Paths
+ * Hand-drawn ("sketchy") outlines shared by the canvas renderer and the SVG exporter.
+ * Every path is generated from a random sequence seeded with the shape id, so a shape
+ * looks the same on every redraw and in every export.
+ */
+import { getPolygonVertices, getCornerRadius } from '../shapeUtils';
+
+// Roughness presets, stored on shapes as `roughness`
+export const ROUGHNESS_LEVELS = {
+  architect: 0,
+  artist: 1,
+  cartoonist: 2
+};
+
+// Each outline is drawn this many times with different jitter
+const ROUGH_PASSES = 2;
+
+// Points sampled along each bowed line
+const LINE_SEGMENTS = 8;
+
+// Per unit of roughness: max endpoint jitter, max bow of a line, max wobble of an ellipse
+const MAX_END_OFFSET = 2;
+const MAX_BOW = 3;
+const MAX_ELLIPSE_WOBBLE = 2;
+
+// Pencil points are already hand-drawn, so they only get a light jitter
+const PENCIL_OFFSET = 0.6;
+
+// Points sampled along each rounded corner, and how far (per unit of roughness) they wander
+const CORNER_SEGMENTS = 6;
+const MAX_CORNER_WOBBLE = 0.8;
+
+/**
+ * Hash a shape id into a 32-bit seed (FNV-1a)
+ * @param {string|number} value - Shape id
+ * @returns {number} - Seed
+ */
+const hashSeed = (value) => {
+  let hash = 2166136261;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Random offset in [-amount, amount]
+const jitter = (random, amount) => (random() * 2 - 1) * amount;
+
+/**
+ * A slightly bowed line with jittered ends, sampled as points
+ */
+const roughLine = (p1, p2, roughness, random) => {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const length = Math.hypot(dx, dy);
+  const endOffset = roughness * Math.min(MAX_END_OFFSET, length / 10);
+  const bow = roughness * Math.min(MAX_BOW, length / 20);
+
+  const start = { x: p1.x + jitter(random, endOffset), y: p1.y + jitter(random, endOffset) };
+  const end = { x: p2.x + jitter(random, endOffset), y: p2.y + jitter(random, endOffset) };
+
+  // Bend the line sideways around its midpoint
+  const bend = jitter(random, bow);
+  const normal = length > 0 ? { x: -dy / length, y: dx / length } : { x: 0, y: 0 };
+  const control = {
+    x: (start.x + end.x) / 2 + normal.x * bend,
+    y: (start.y + end.y) / 2 + normal.y * bend
+  };
+
+  const points = [];
+  for (let i = 0; i <= LINE_SEGMENTS; i++) {
+    const t = i / LINE_SEGMENTS;
+    const a = (1 - t) * (1 - t);
+    const b = 2 * (1 - t) * t;
+    const c = t * t;
+    points.push({
+      x: a * start.x + b * control.x + c * end.x,
+      y: a * start.y + b * control.y + c * end.y
+    });
+  }
+  return points;
+};
+
+/**
+ * Rough outline of a closed polygon: every side drawn as a separate bowed line
+ * @param {Array} corners - Polygon corners
+ * @param {number} roughness - Roughness level
+ * @param {string|number} seed - Shape id
+ * @returns {Array<Array>} - Polylines to stroke
+ */
+export const getRoughPolygonPaths = (corners, roughness, seed) => {
+  const random = createRandom(hashSeed(seed));
+
+  const paths = [];
+  for (let pass = 0; pass < ROUGH_PASSES; pass++) {
+    corners.forEach((corner, i) => {
+      paths.push(roughLine(corner, corners[(i + 1) % corners.length], roughness, random));
+    });
+  }
+  return paths;
+};
+
+/**
+ * Rough outline of a rectangle. Rounded corners are drawn as wobbly arcs between bowed sides.
+ * @param {Object} box - {x, y, width, height}
+ * @param {number} roughness - Roughness level
+ * @param {string|number} seed - Shape id
+ * @param {number} radius - Corner radius, 0 for sharp corners
+ * @returns {Array<Array>} - Polylines to stroke
+ */
+export const getRoughRectanglePaths = (box, roughness, seed, radius = 0) => {
+  const { x, y, width, height } = box;
+  if (!(radius > 0)) {
+    return getRoughPolygonPaths([
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height }
+    ], roughness, seed);
+  }
+
+  const random = createRandom(hashSeed(seed));
+  // Corner arc centers and the angle each arc starts at, clockwise from the top-left
+  const corners = [
+    { cx: x + radius, cy: y + radius, start: Math.PI },
+    { cx: x + width - radius, cy: y + radius, start: Math.PI * 1.5 },
+    { cx: x + width - radius, cy: y + height - radius, start: 0 },
+    { cx: x + radius, cy: y + height - radius, start: Math.PI / 2 }
+  ];
+  const arcPoint = (corner, angle) => ({
+    x: corner.cx + radius * Math.cos(angle),
+    y: corner.cy + radius * Math.sin(angle)
+  });
+  const wobble = roughness * MAX_CORNER_WOBBLE;
+
+  const paths = [];
+  for (let pass = 0; pass < ROUGH_PASSES; pass++) {
+    corners.forEach((corner, i) => {
+      const arc = [];
+      for (let step = 0; step <= CORNER_SEGMENTS; step++) {
+        const point = arcPoint(corner, corner.start + (Math.PI / 2) * (step / CORNER_SEGMENTS));
+        arc.push({ x: point.x + jitter(random, wobble), y: point.y + jitter(random, wobble) });
+      }
+      paths.push(arc);
+
+      // Straight side from the end of this arc to the start of the next one
+      const next = corners[(i + 1) % corners.length];
+      paths.push(roughLine(
+        arcPoint(corner, corner.start + Math.PI / 2),
+        arcPoint(next, next.start),
+        roughness,
+        random
+      ));
+    });
+  }
+  return paths;
+};
+
+/**
+ * Rough version of a straight polyline: every segment drawn as a bowed line
+ * @param {Array} points - Polyline points
+ * @param {number} roughness - Roughness level
+ * @param {string|number} seed - Shape id
+ * @returns {Array<Array>} - Polylines to stroke
+ */
+export const getRoughLinePaths = (points, roughness, seed) => {
+  const random = createRandom(hashSeed(seed));
+
+  const paths = [];
+  for (let pass = 0; pass < ROUGH_PASSES; pass++) {
+    for (let i = 0; i < points.length - 1; i++) {
+      paths.push(roughLine(points[i], points[i + 1], roughness, random));
+    }
+  }
+  return paths;
+};
+
+/**
+ * Rough outline of an ellipse: a wobbly loop that overshoots where it closes
+ * @param {Object} ellipse - {cx, cy, rx, ry}
+ * @param {number} roughness - Roughness level
+ * @param {string|number} seed - Shape id
+ * @returns {Array<Array>} - Polylines to stroke
+ */
+export const getRoughEllipsePaths = (ellipse, roughness, seed) => {
+  const random = createRandom(hashSeed(seed));
+  const { cx, cy, rx, ry } = ellipse;
+  const radius = Math.max(rx, ry);
+  // Enough points to look smooth at any size
+  const steps = Math.min(180, Math.max(24, Math.round(Math.PI * (rx + ry) / 6)));
+  const wobble = roughness * Math.min(MAX_ELLIPSE_WOBBLE, radius * 0.05);
+
+  const paths = [];
+  for (let pass = 0; pass < ROUGH_PASSES; pass++) {
+    const center = { x: cx + jitter(random, wobble), y: cy + jitter(random, wobble) };
+    const startAngle = random() * Math.PI * 2;
+    const overshoot = (0.1 + random() * 0.2) * roughness;
+    const phase = random() * Math.PI * 2;
+    const wobbleAmount = jitter(random, wobble);
+
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const angle = startAngle + (Math.PI * 2 + overshoot) * (i / steps);
+      // A low-frequency wobble keeps the loop smooth but uneven
+      const offset = Math.sin(angle * 2 + phase) * wobbleAmount;
+      points.push({
+        x: center.x + (rx + offset) * Math.cos(angle),
+        y: center.y + (ry + offset) * Math.sin(angle)
+      });
+    }
+    paths.push(points);
+  }
+  return paths;
+};
+
+/**
+ * Rough version of a freehand stroke: the stroke traced twice with a light jitter
+ * @param {Array} points - Stroke points
+ * @param {number} roughness - Roughness level
+ * @param {string|number} seed - Shape id
+ * @returns {Array<Array>} - Polylines to stroke
+ */
+export const getRoughPolylinePaths = (points, roughness, seed) => {
+  const random = createRandom(hashSeed(seed));
+  const amount = roughness * PENCIL_OFFSET;
+
+  const paths = [];
+  for (let pass = 0; pass < ROUGH_PASSES; pass++) {
+    // Shift the whole pass a little so the two traces separate
+    const shift = { x: jitter(random, amount), y: jitter(random, amount) };
+    // Spread the point so per-point data such as pressure carries over
+    paths.push(points.map(point => ({
+      ...point,
+      x: point.x + shift.x + jitter(random, amount / 2),
+      y: point.y + shift.y + jitter(random, amount / 2)
+    })));
+  }
+  return paths;
+};
+
+/**
+ * Rough outline for any shape that supports it
+ * @param {Object} shape - The shape
+ * @returns {Array<Array>|null} - Polylines to stroke, or null when the shape is drawn clean
+ */
+export const getRoughPaths = (shape) => {
+  if (!shape || !(shape.roughness > 0)) return null;
+
+  const seed = shape.id ?? shape.type;
+
+  switch (shape.type) {
+    case 'rectangle':
+      return getRoughRectanglePaths(shape, shape.roughness, seed, getCornerRadius(shape));
+    case 'triangle':
+    case 'diamond':
+    case 'polygon':
+    case 'star':
+      return getRoughPolygonPaths(getPolygonVertices(shape), shape.roughness, seed);
+    case 'circle':
+      // x,y is the top-left of the circle's bounding box
+      return getRoughEllipsePaths({
+        cx: shape.x + shape.radiusX,
+        cy: shape.y + shape.radiusY,
+        rx: shape.radiusX,
+        ry: shape.radiusY
+      }, shape.roughness, seed);
+    case 'pencil':
+      return shape.points?.length > 1
+        ? getRoughPolylinePaths(shape.points, shape.roughness, seed)
+        : null;
+    case 'line':
+    case 'arrow':
+      return shape.points?.length > 1
+        ? getRoughLinePaths(shape.points, shape.roughness, seed)
+        : null;
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,7 @@
+/**
+ * Rough Utilities Index
+ * Central export point for hand-drawn rendering helpers
+ */
+
+// Seeded sketchy outlines
+export * from './RoughPaths';
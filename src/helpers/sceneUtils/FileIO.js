@@ -0,0 +1,96 @@
+/**
+ * File IO Utilities
+ * Browser helpers for saving and opening files from the user's machine
+ */
+
+// How long to wait for 'change' after the window regains focus from a file picker
+const PICKER_CLOSE_DELAY = 500;
+
+/**
+ * Save a blob to disk, using the native save dialog when the browser supports it
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {Object} fileType - Picker type description {description, accept}
+ * @returns {Promise<boolean>} - Whether the file was saved (false if the user cancelled)
+ */
+export const saveFile = async (blob, fileName, fileType) => {
+  if (window.showSaveFilePicker && fileType) {
+    try {
+      const handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [fileType]
+      });
+      const writable = await handle.createWritable();
+      await writable.write(blob);
+      await writable.close();
+      return true;
+    } catch (error) {
+      // The user dismissed the dialog
+      if (error.name === 'AbortError') return false;
+      console.warn('Save file picker failed, falling back to download:', error);
+    }
+  }
+
+  downloadBlob(blob, fileName);
+  return true;
+};
+
+/**
+ * Trigger a download of a blob through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - File name for the download
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Let the user pick a file from their machine
+ * @param {string} accept - Accepted extensions/MIME types for the file input
+ * @returns {Promise<File|null>} - The picked file, or null if cancelled
+ */
+export const pickFile = (accept) => {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+
+    const settle = (file) => {
+      window.removeEventListener('focus', handleFocus);
+      resolve(file);
+    };
+
+    // Browsers that don't fire 'cancel' still give the window focus back when the dialog
+    // closes. 'change' can follow the focus, so give it a moment before treating it as dismissed.
+    const handleFocus = () => setTimeout(() => settle(null), PICKER_CLOSE_DELAY);
+
+    input.onchange = () => settle(input.files?.[0] || null);
+
+    // Modern browsers fire 'cancel' when the dialog is dismissed
+    input.oncancel = () => settle(null);
+
+    window.addEventListener('focus', handleFocus);
+    input.click();
+  });
+};
+
+/**
+ * Let the user pick a file and read it as text
+ * @param {string} accept - Accepted extensions/MIME types for the file input
+ * @returns {Promise<{name: string, text: string}|null>} - File name and contents, or null if cancelled
+ */
+export const openTextFile = async (accept) => {
+  const file = await pickFile(accept);
+  if (!file) return null;
+
+  return { name: file.name, text: await file.text() };
+};
@@ -0,0 +1,80 @@
+/**
+ * Scene File
+ * Serialization of scenes to and from `.kalidraw` JSON files
+ */
+import { createSceneDocument, migrateScene, sanitizeScene } from './SceneSchema';
+import { saveFile, openTextFile } from './FileIO';
+
+export const SCENE_FILE_TYPE = 'kalidraw';
+export const SCENE_FILE_EXTENSION = '.kalidraw';
+export const SCENE_FILE_MIME = 'application/vnd.kalidraw+json';
+
+/**
+ * Serialize the scene into the `.kalidraw` JSON format
+ * @param {Array} shapes - Array of shape objects
+ * @param {Object} appState - Viewport state {zoomLevel, canvasOffset}
+ * @returns {string} - Pretty-printed JSON document
+ */
+export const serializeSceneFile = (shapes, appState) => {
+  const doc = {
+    type: SCENE_FILE_TYPE,
+    source: window.location.origin,
+    ...createSceneDocument(shapes, appState)
+  };
+  return JSON.stringify(doc, null, 2);
+};
+
+/**
+ * Parse and validate the contents of a `.kalidraw` file.
+ * Shapes that fail validation are dropped and reported in `skipped`.
+ * @param {string} text - File contents
+ * @returns {{shapes: Array, appState: Object, skipped: Array<{index: number, errors: Array<string>}>}}
+ * @throws {Error} - If the file is not a readable KaliDraw scene
+ */
+export const parseSceneFile = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!raw || raw.type !== SCENE_FILE_TYPE) {
+    throw new Error('The file is not a KaliDraw scene.');
+  }
+
+  const doc = migrateScene(raw);
+  if (!doc) {
+    throw new Error(`Unsupported scene version: ${raw.version}.`);
+  }
+
+  return sanitizeScene(doc);
+};
+
+/**
+ * Ask the user where to save the scene and write it as a `.kalidraw` file
+ * @param {Array} shapes - Array of shape objects
+ * @param {Object} appState - Viewport state {zoomLevel, canvasOffset}
+ * @param {string} fileName - Suggested file name
+ * @returns {Promise<boolean>} - Whether the file was saved
+ */
+export const saveSceneFile = (shapes, appState, fileName = `drawing${SCENE_FILE_EXTENSION}`) => {
+  const blob = new Blob([serializeSceneFile(shapes, appState)], { type: SCENE_FILE_MIME });
+  return saveFile(blob, fileName, {
+    description: 'KaliDraw scene',
+    accept: { [SCENE_FILE_MIME]: [SCENE_FILE_EXTENSION] }
+  });
+};
+
+/**
+ * Let the user pick a `.kalidraw` file and parse it
+ * @returns {Promise<Object|null>} - Parsed scene (see parseSceneFile), or null if cancelled
+ * @throws {Error} - If the chosen file is not a readable KaliDraw scene
+ */
+export const openSceneFile = async () => {
+  const file = await openTextFile(`${SCENE_FILE_EXTENSION},application/json`);
+  if (!file) return null;
+
+  console.log("Opening scene file:", file.name);
+  return parseSceneFile(file.text);
+};
@@ -0,0 +1,361 @@
+/**
+ * Scene Schema
+ * Versioned scene document format shared by autosave and scene files
+ */
+import {
+  FILL_STYLES,
+  STROKE_STYLES,
+  ARROWHEAD_TYPES,
+  POLYGON_SHAPE_TYPES,
+  MIN_SIDES,
+  MAX_SIDES,
+  supportsSides,
+  generateId
+} from '../shapeUtils';
+import { ROUGHNESS_LEVELS } from '../roughUtils';
+
+// Bump this whenever the stored shape of a scene changes and add a migration below
+export const SCENE_VERSION = 2;
+
+export const DEFAULT_APP_STATE = {
+  zoomLevel: 1,
+  canvasOffset: { x: 0, y: 0 }
+};
+
+// Properties that only exist while the user is interacting with a shape
+const TRANSIENT_SHAPE_PROPS = ['isEditing', 'resizing'];
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each migration receives a document of that version and returns the next version.
+ */
+const migrations = {
+  // Version 0 is the legacy format: a bare shapes array with no metadata
+  0: (doc) => ({
+    version: 1,
+    shapes: Array.isArray(doc) ? doc : (doc.shapes || []),
+    appState: { ...DEFAULT_APP_STATE }
+  }),
+
+  // Version 1 circles were perfect circles with a single radius; version 2 stores ellipse radii
+  1: (doc) => ({
+    ...doc,
+    version: 2,
+    shapes: (doc.shapes || []).map(shape => {
+      if (!shape || shape.type !== 'circle' || shape.radius === undefined) return shape;
+      const { radius, ...rest } = shape;
+      return { ...rest, radiusX: radius, radiusY: radius };
+    })
+  })
+};
+
+/**
+ * Remove interaction-only properties so they never end up in storage
+ * @param {Object} shape - The shape to clean
+ * @returns {Object} - A copy of the shape without transient properties
+ */
+export const stripTransientProps = (shape) => {
+  const cleaned = { ...shape };
+  TRANSIENT_SHAPE_PROPS.forEach(prop => delete cleaned[prop]);
+  return cleaned;
+};
+
+/**
+ * Build a scene document from the current canvas state
+ * @param {Array} shapes - Array of shape objects
+ * @param {Object} appState - Viewport state {zoomLevel, canvasOffset}
+ * @returns {Object} - Scene document at the current version
+ */
+export const createSceneDocument = (shapes, appState = {}) => {
+  return {
+    version: SCENE_VERSION,
+    shapes: (shapes || []).filter(Boolean).map(stripTransientProps),
+    appState: {
+      zoomLevel: appState.zoomLevel ?? DEFAULT_APP_STATE.zoomLevel,
+      canvasOffset: { ...(appState.canvasOffset || DEFAULT_APP_STATE.canvasOffset) }
+    }
+  };
+};
+
+/**
+ * Upgrade a stored scene document to the current version
+ * @param {Object|Array} doc - Stored scene document (or legacy shapes array)
+ * @returns {Object|null} - Scene document at the current version, or null if it can't be read
+ */
+export const migrateScene = (doc) => {
+  if (!doc) return null;
+
+  let migrated = doc;
+  let version = Array.isArray(doc) ? 0 : (doc.version ?? 0);
+
+  if (version > SCENE_VERSION) {
+    console.warn(`Scene version ${version} is newer than supported version ${SCENE_VERSION}`);
+    return null;
+  }
+
+  while (version < SCENE_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      console.error('No scene migration available from version', version);
+      return null;
+    }
+    migrated = migrate(migrated);
+    version = migrated.version;
+  }
+
+  return {
+    ...migrated,
+    shapes: Array.isArray(migrated.shapes) ? migrated.shapes : [],
+    appState: {
+      ...DEFAULT_APP_STATE,
+      ...migrated.appState
+    }
+  };
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isOptional = (value, check) => value === undefined || check(value);
+const isOneOf = (options) => (value) => options.includes(value);
+
+const checkPoint = (point) => point && isNumber(point.x) && isNumber(point.y);
+
+const checkColor = (shape, errors) => {
+  if (!isOptional(shape.color, value => typeof value === 'string')) {
+    errors.push('color must be a string');
+  }
+};
+
+const checkOpacity = (shape, errors) => {
+  if (!isOptional(shape.opacity, value => isNumber(value) && value >= 0 && value <= 1)) {
+    errors.push('opacity must be a number between 0 and 1');
+  }
+};
+
+const checkStroke = (shape, errors) => {
+  if (!isOptional(shape.strokeWidth, value => isNumber(value) && value > 0)) {
+    errors.push('strokeWidth must be a positive number');
+  }
+  if (!isOptional(shape.strokeStyle, isOneOf(STROKE_STYLES))) {
+    errors.push(`strokeStyle must be one of ${STROKE_STYLES.join(', ')}`);
+  }
+  if (!isOptional(shape.roughness, isOneOf(Object.values(ROUGHNESS_LEVELS)))) {
+    errors.push(`roughness must be one of ${Object.values(ROUGHNESS_LEVELS).join(', ')}`);
+  }
+};
+
+const checkFill = (shape, errors) => {
+  if (!isOptional(shape.fillStyle, isOneOf(FILL_STYLES))) {
+    errors.push(`fillStyle must be one of ${FILL_STYLES.join(', ')}`);
+  }
+  if (!isOptional(shape.fillColor, value => typeof value === 'string')) {
+    errors.push('fillColor must be a string');
+  }
+  if (!isOptional(shape.fillOpacity, value => isNumber(value) && value >= 0 && value <= 1)) {
+    errors.push('fillOpacity must be a number between 0 and 1');
+  }
+};
+
+// Triangles, diamonds, polygons and stars are stored as a box like rectangles
+const validatePolygon = (shape, errors) => {
+  ['x', 'y', 'width', 'height'].forEach(prop => {
+    if (!isNumber(shape[prop])) errors.push(`${prop} must be a number`);
+  });
+  if (supportsSides(shape.type) &&
+      !isOptional(shape.sides, value => Number.isInteger(value) && value >= MIN_SIDES && value <= MAX_SIDES)) {
+    errors.push(`sides must be a whole number from ${MIN_SIDES} to ${MAX_SIDES}`);
+  }
+  checkColor(shape, errors);
+  checkOpacity(shape, errors);
+  checkStroke(shape, errors);
+  checkFill(shape, errors);
+};
+
+/**
+ * Per-type validators. Each one checks the fields its renderer in drawingTools.js reads
+ * and pushes a message for every problem it finds.
+ */
+const shapeValidators = {
+  rectangle: (shape, errors) => {
+    ['x', 'y', 'width', 'height'].forEach(prop => {
+      if (!isNumber(shape[prop])) errors.push(`${prop} must be a number`);
+    });
+    if (!isOptional(shape.cornerRadius, value => isNumber(value) && value >= 0)) {
+      errors.push('cornerRadius must be a non-negative number');
+    }
+    checkColor(shape, errors);
+    checkOpacity(shape, errors);
+    checkStroke(shape, errors);
+    checkFill(shape, errors);
+  },
+
+  circle: (shape, errors) => {
+    ['x', 'y'].forEach(prop => {
+      if (!isNumber(shape[prop])) errors.push(`${prop} must be a number`);
+    });
+    ['radiusX', 'radiusY'].forEach(prop => {
+      if (!isNumber(shape[prop]) || shape[prop] < 0) {
+        errors.push(`${prop} must be a non-negative number`);
+      }
+    });
+    checkColor(shape, errors);
+    checkOpacity(shape, errors);
+    checkStroke(shape, errors);
+    checkFill(shape, errors);
+  },
+
+  ...Object.fromEntries(POLYGON_SHAPE_TYPES.map(type => [type, validatePolygon])),
+
+  pencil: (shape, errors) => {
+    if (!Array.isArray(shape.points) || shape.points.length === 0) {
+      errors.push('points must be a non-empty array');
+    } else if (!shape.points.every(checkPoint)) {
+      errors.push('every point needs numeric x and y');
+    } else if (!shape.points.every(point => isOptional(point.pressure, value => isNumber(value) && value >= 0 && value <= 1))) {
+      errors.push('point pressure must be a number between 0 and 1');
+    }
+    if (!isOptional(shape.smoothing, value => isNumber(value) && value >= 0 && value <= 1)) {
+      errors.push('smoothing must be a number between 0 and 1');
+    }
+    checkColor(shape, errors);
+    checkOpacity(shape, errors);
+    checkStroke(shape, errors);
+  },
+
+  line: (shape, errors) => {
+    if (!Array.isArray(shape.points) || shape.points.length !== 2) {
+      errors.push('points must be an array of two endpoints');
+    } else if (!shape.points.every(checkPoint)) {
+      errors.push('every point needs numeric x and y');
+    }
+    checkColor(shape, errors);
+    checkOpacity(shape, errors);
+    checkStroke(shape, errors);
+  },
+
+  arrow: (shape, errors) => {
+    if (!Array.isArray(shape.points) || shape.points.length < 2) {
+      errors.push('points must be an array of at least two points');
+    } else if (!shape.points.every(checkPoint)) {
+      errors.push('every point needs numeric x and y');
+    }
+    ['startBinding', 'endBinding'].forEach(prop => {
+      if (!isOptional(shape[prop], value => value && (typeof value.id === 'string' || isNumber(value.id)))) {
+        errors.push(`${prop} must be an object with a shape id`);
+      }
+    });
+    ['startArrowhead', 'endArrowhead'].forEach(prop => {
+      if (!isOptional(shape[prop], isOneOf(ARROWHEAD_TYPES))) {
+        errors.push(`${prop} must be one of ${ARROWHEAD_TYPES.join(', ')}`);
+      }
+    });
+    checkColor(shape, errors);
+    checkOpacity(shape, errors);
+    checkStroke(shape, errors);
+  },
+
+  text: (shape, errors) => {
+    if (typeof shape.text !== 'string') errors.push('text must be a string');
+    ['x', 'y'].forEach(prop => {
+      if (!isNumber(shape[prop])) errors.push(`${prop} must be a number`);
+    });
+    ['width', 'height'].forEach(prop => {
+      if (!isOptional(shape[prop], isNumber)) errors.push(`${prop} must be a number`);
+    });
+    if (!isOptional(shape.fontSize, value => isNumber(value) && value > 0)) {
+      errors.push('fontSize must be a positive number');
+    }
+    if (!isOptional(shape.fontFamily, value => typeof value === 'string')) {
+      errors.push('fontFamily must be a string');
+    }
+    if (!isOptional(shape.fontWeight, isOneOf(['normal', 'bold']))) {
+      errors.push('fontWeight must be normal or bold');
+    }
+    if (!isOptional(shape.fontStyle, isOneOf(['normal', 'italic']))) {
+      errors.push('fontStyle must be normal or italic');
+    }
+    if (!isOptional(shape.textDecoration, isOneOf(['none', 'underline']))) {
+      errors.push('textDecoration must be none or underline');
+    }
+    if (!isOptional(shape.align, isOneOf(['left', 'center', 'right']))) {
+      errors.push('align must be left, center or right');
+    }
+    if (!isOptional(shape.verticalAlign, isOneOf(['top', 'middle', 'bottom']))) {
+      errors.push('verticalAlign must be top, middle or bottom');
+    }
+    checkColor(shape, errors);
+    checkOpacity(shape, errors);
+  },
+
+  image: (shape, errors) => {
+    ['x', 'y'].forEach(prop => {
+      if (!isNumber(shape[prop])) errors.push(`${prop} must be a number`);
+    });
+    ['width', 'height'].forEach(prop => {
+      if (!isNumber(shape[prop]) || shape[prop] <= 0) errors.push(`${prop} must be a positive number`);
+    });
+    if (typeof shape.src !== 'string' || shape.src.length === 0) {
+      errors.push('src must be a non-empty string');
+    }
+    checkOpacity(shape, errors);
+  }
+};
+
+/**
+ * Check that a shape has everything its renderer needs
+ * @param {Object} shape - The shape to validate
+ * @returns {Array<string>} - Validation errors, empty if the shape is valid
+ */
+export const validateShape = (shape) => {
+  if (!shape || typeof shape !== 'object') {
+    return ['shape must be an object'];
+  }
+
+  const validator = shapeValidators[shape.type];
+  if (!validator) {
+    return [`unknown shape type "${shape.type}"`];
+  }
+
+  const errors = [];
+  if (!isOptional(shape.id, value => typeof value === 'string' || isNumber(value))) {
+    errors.push('id must be a string or number');
+  }
+  validator(shape, errors);
+  return errors;
+};
+
+/**
+ * Keep only the valid shapes and a usable viewport of a migrated scene document, whichever
+ * way it was loaded (autosave or file). Shapes that fail validation are dropped and reported
+ * in `skipped`; duplicate or missing ids get a fresh one.
+ * @param {Object} doc - Scene document at the current version, see migrateScene
+ * @returns {{shapes: Array, appState: Object, skipped: Array<{index: number, errors: Array<string>}>}}
+ */
+export const sanitizeScene = (doc) => {
+  const shapes = [];
+  const skipped = [];
+  const seenIds = new Set();
+
+  doc.shapes.forEach((shape, index) => {
+    const errors = validateShape(shape);
+    if (errors.length > 0) {
+      console.warn(`Skipping invalid shape at index ${index}:`, errors, shape);
+      skipped.push({ index, errors });
+      return;
+    }
+
+    // Every shape needs a unique id for selection and editing
+    const id = shape.id === undefined || seenIds.has(shape.id) ? generateId() : shape.id;
+    seenIds.add(id);
+    shapes.push({ ...shape, id });
+  });
+
+  const { zoomLevel, canvasOffset } = doc.appState;
+  const appState = {
+    zoomLevel: typeof zoomLevel === 'number' && zoomLevel > 0 ? zoomLevel : 1,
+    canvasOffset: canvasOffset && typeof canvasOffset.x === 'number' && typeof canvasOffset.y === 'number'
+      ? { x: canvasOffset.x, y: canvasOffset.y }
+      : { x: 0, y: 0 }
+  };
+
+  return { shapes, appState, skipped };
+};
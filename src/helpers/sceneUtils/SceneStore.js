@@ -0,0 +1,174 @@
+/**
+ * Scene Store
+ * Persists the current scene to IndexedDB, falling back to localStorage
+ * when IndexedDB is unavailable (private browsing, old browsers)
+ */
+import { migrateScene, sanitizeScene } from './SceneSchema';
+
+const DB_NAME = 'kalidraw';
+const DB_VERSION = 1;
+const STORE_NAME = 'scenes';
+const CURRENT_SCENE_KEY = 'current';
+const FALLBACK_STORAGE_KEY = 'kalidraw-scene';
+
+let dbPromise = null;
+
+// Whether scenes are stored in IndexedDB, so localStorage only holds flushed copies
+let hasDatabase = false;
+
+// Bumped whenever the scene is flushed to localStorage as the page goes away
+let flushCount = 0;
+
+/**
+ * Open (and create if needed) the scene database
+ * @returns {Promise<IDBDatabase|null>} - The database, or null if IndexedDB can't be used
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME);
+        }
+      };
+
+      request.onsuccess = () => {
+        hasDatabase = true;
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against the scene object store
+ * @param {IDBDatabase} db - Open database
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} makeRequest - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} - The request result
+ */
+const runRequest = (db, mode, makeRequest) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Read the copy flushScene left in localStorage
+ * @returns {string|null} - The serialized scene, or null if there is none or localStorage is blocked
+ */
+const readFlushedScene = () => {
+  try {
+    return localStorage.getItem(FALLBACK_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const clearFlushedScene = () => {
+  try {
+    localStorage.removeItem(FALLBACK_STORAGE_KEY);
+  } catch {
+    // Nothing was flushed if localStorage can't be used
+  }
+};
+
+/**
+ * Load the autosaved scene
+ * @returns {Promise<Object|null>} - {shapes, appState, skipped} with only the valid shapes, or null if none is saved
+ */
+export const loadScene = async () => {
+  try {
+    const db = await openDatabase();
+    let stored;
+
+    // A copy flushed while the page was closing may be newer than what reached IndexedDB
+    const flushed = db && readFlushedScene();
+    if (flushed) {
+      stored = JSON.parse(flushed);
+    } else if (db) {
+      stored = await runRequest(db, 'readonly', store => store.get(CURRENT_SCENE_KEY));
+    } else {
+      const raw = localStorage.getItem(FALLBACK_STORAGE_KEY);
+      stored = raw ? JSON.parse(raw) : null;
+    }
+
+    // Stored scenes are checked like opened files, so a corrupted record can't reach the canvas
+    const doc = migrateScene(stored);
+    return doc && sanitizeScene(doc);
+  } catch (error) {
+    console.error('Failed to load saved scene:', error);
+    return null;
+  }
+};
+
+/**
+ * Save a scene document as the autosaved scene
+ * @param {Object} doc - Scene document created with createSceneDocument
+ * @returns {Promise<boolean>} - Whether the scene was saved
+ */
+export const saveScene = async (doc) => {
+  try {
+    const flushesBefore = flushCount;
+    const db = await openDatabase();
+
+    if (db) {
+      await runRequest(db, 'readwrite', store => store.put(doc, CURRENT_SCENE_KEY));
+      // IndexedDB is up to date now, unless the page was flushed while this save was running
+      if (flushCount === flushesBefore) {
+        clearFlushedScene();
+      }
+    } else {
+      localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(doc));
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Failed to save scene:', error);
+    return false;
+  }
+};
+
+/**
+ * Save a scene synchronously to localStorage, for when the page is being hidden or closed
+ * and an IndexedDB transaction might not commit in time. loadScene prefers this copy until
+ * the next save reaches IndexedDB.
+ * @param {Object} doc - Scene document created with createSceneDocument
+ * @returns {boolean} - Whether the scene was saved
+ */
+export const flushScene = (doc) => {
+  try {
+    localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(doc));
+    flushCount++;
+    return true;
+  } catch (error) {
+    // Don't leave an older flushed copy behind to shadow the newer IndexedDB record
+    console.error('Failed to flush scene:', error);
+    if (hasDatabase) {
+      clearFlushedScene();
+    }
+    return false;
+  }
+};
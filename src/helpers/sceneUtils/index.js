@@ -0,0 +1,16 @@
+/**
+ * Scene Utilities Index
+ * Central export point for scene persistence and serialization
+ */
+
+// Versioned scene document format and migrations
+export * from './SceneSchema';
+
+// Autosave storage
+export * from './SceneStore';
+
+// .kalidraw scene files
+export * from './SceneFile';
+
+// Browser file save/open helpers
+export * from './FileIO';
@@ -1,24 +1,133 @@
 // Selection and deselection utilities
-import { isPointInShape } from './shapeManipulation';
+import { isPointInShape, getShapeBoundingBox } from './shapeManipulation';
+import { isLinearShape, isPointInPolygon, getShapeOutlinePoints } from './shapeUtils';
 
 /**
  * Check if click is on any shape in the shapes array
  * @param {Object} point - {x, y} coordinates
  * @param {Array} shapes - Array of shape objects  
+ * @param {Object|null} selectedShape - Currently selected shape, if any
  * @returns {Object|null} - The shape that was clicked, or null if none
  */
-export function findShapeUnderPoint(point, shapes) {
+export function findShapeUnderPoint(point, shapes, selectedShape = null) {
   if (!shapes || !shapes.length) return null;
   
+  // The selected shape can be grabbed anywhere inside its bounds, even when it's hollow.
+  // Lines have no inside, so they are only grabbed on the line itself.
+  if (selectedShape && !isLinearShape(selectedShape)) {
+    const box = getShapeBoundingBox(selectedShape);
+    if (
+      box &&
+      point.x >= box.x &&
+      point.x <= box.x + box.width &&
+      point.y >= box.y &&
+      point.y <= box.y + box.height
+    ) {
+      return shapes.find(shape => shape.id === selectedShape.id) || null;
+    }
+  }
+  
   return shapes.find(shape => isPointInShape(point, shape)) || null;
 }
 
+/**
+ * Get the selected shapes, in drawing order
+ * @param {Array} shapes - Array of shape objects
+ * @param {Array} selectedIds - Ids of the selected shapes
+ * @returns {Array} - The selected shapes
+ */
+export function getSelectedShapes(shapes, selectedIds) {
+  if (!shapes || !selectedIds || selectedIds.length === 0) return [];
+  return shapes.filter(shape => selectedIds.includes(shape.id));
+}
+
+/**
+ * Add a shape to the selection, or take it out if it's already selected
+ * @param {Array} selectedIds - Ids of the selected shapes
+ * @param {string} id - Id of the shape to toggle
+ * @returns {Array} - The new selection
+ */
+export function toggleSelectedId(selectedIds, id) {
+  return selectedIds.includes(id)
+    ? selectedIds.filter(selectedId => selectedId !== id)
+    : [...selectedIds, id];
+}
+
+/**
+ * Normalize the rectangle dragged out between two points
+ * @param {Object} start - Where the drag started {x, y}
+ * @param {Object} end - Where the pointer is now {x, y}
+ * @returns {Object} - {x, y, width, height} with a non-negative size
+ */
+export function getSelectionRect(start, end) {
+  return {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y)
+  };
+}
+
+/**
+ * Find the shapes a selection rectangle touches: their bounding box is inside it or overlaps it
+ * @param {Object} rect - Selection rectangle {x, y, width, height}
+ * @param {Array} shapes - Array of shape objects
+ * @returns {Array} - The shapes touched by the rectangle, in drawing order
+ */
+export function findShapesInRect(rect, shapes) {
+  if (!rect || !shapes) return [];
+  
+  return shapes.filter(shape => {
+    const box = getShapeBoundingBox(shape);
+    return (
+      box &&
+      box.x <= rect.x + rect.width &&
+      box.x + box.width >= rect.x &&
+      box.y <= rect.y + rect.height &&
+      box.y + box.height >= rect.y
+    );
+  });
+}
+
+/**
+ * Find the shapes a lasso loop encloses: every point of a stroke or line, or every corner
+ * of a shape's outline, lies inside the loop
+ * @param {Array} loop - Points of the lasso, closed from the last point back to the first
+ * @param {Array} shapes - Array of shape objects
+ * @returns {Array} - The enclosed shapes, in drawing order
+ */
+export function findShapesInLasso(loop, shapes) {
+  if (!loop || loop.length < 3 || !shapes) return [];
+  
+  return shapes.filter(shape => {
+    const outline = getShapeOutlinePoints(shape);
+    return outline.length > 0 && outline.every(point => isPointInPolygon(point, loop));
+  });
+}
+
+/**
+ * Get the bounding box around several shapes
+ * @param {Array} shapes - Array of shape objects
+ * @returns {Object|null} - {x, y, width, height}, or null when there are no shapes
+ */
+export function getSelectionBounds(shapes) {
+  const boxes = (shapes || []).map(getShapeBoundingBox).filter(Boolean);
+  if (boxes.length === 0) return null;
+  
+  const minX = Math.min(...boxes.map(box => box.x));
+  const minY = Math.min(...boxes.map(box => box.y));
+  const maxX = Math.max(...boxes.map(box => box.x + box.width));
+  const maxY = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
 /**
  * Handle shape deselection when clicking outside any shape
- * or select a different shape when clicking on it
+ * or select a different shape when clicking on it.
+ * Shift-click adds the shape to the selection or takes it out instead.
  * @param {Object} e - Mouse event
  * @param {Object} ctx - Canvas context with refs, state, etc.
- * @returns {Object} - { deselected: boolean, selectedNew: boolean, newShape: Object|null }
+ * @returns {Object} - { deselected: boolean, selectedNew: boolean, newShape: Object|null, toggled: boolean }
  */
 export function handleClickDeselection(e, ctx) {
   const { 
@@ -28,6 +137,8 @@ export function handleClickDeselection(e, ctx) {
     shapes, 
     selectedShape, 
     setSelectedShape, 
+    selectedIds,
+    setSelectedIds,
     setResizeHandle 
   } = ctx;
   
@@ -42,11 +153,37 @@ export function handleClickDeselection(e, ctx) {
   console.log(`Mouse at (${canvasX.toFixed(2)}, ${canvasY.toFixed(2)})`);
   
   if (selectedShape) {
-    console.log(`Selected: ${selectedShape.type} at (${selectedShape.x.toFixed(2)}, ${selectedShape.y.toFixed(2)})`);
+    // Point-based shapes (pencil, lines) have no x/y of their own
+    const box = getShapeBoundingBox(selectedShape);
+    console.log(`Selected: ${selectedShape.type} at (${box.x.toFixed(2)}, ${box.y.toFixed(2)})`);
+  }
+
+  // Shift-click toggles the shape under the cursor; on empty space it starts an additive selection rectangle
+  if (e.shiftKey) {
+    const toggledShape = findShapeUnderPoint(point, shapes);
+    if (!toggledShape) return { deselected: false, selectedNew: false, newShape: null };
+    console.log(`Toggling shape in selection: ${toggledShape.id}`);
+    setSelectedIds(toggleSelectedId(selectedIds, toggledShape.id));
+    setResizeHandle(null);
+    return { deselected: false, selectedNew: false, newShape: null, toggled: true };
+  }
+  
+  // Grabbing anywhere inside a multi-selection keeps it, so it can be moved as a whole
+  const selection = getSelectedShapes(shapes, selectedIds);
+  if (selection.length > 1) {
+    const bounds = getSelectionBounds(selection);
+    if (
+      point.x >= bounds.x &&
+      point.x <= bounds.x + bounds.width &&
+      point.y >= bounds.y &&
+      point.y <= bounds.y + bounds.height
+    ) {
+      return { deselected: false, selectedNew: false, newShape: null };
+    }
   }
 
   // Find the shape under the cursor, if any
-  const clickedShape = findShapeUnderPoint(point, shapes);
+  const clickedShape = findShapeUnderPoint(point, shapes, selectedShape);
   
   // Case 1: Clicked outside any shape - deselect
   if (!clickedShape) {
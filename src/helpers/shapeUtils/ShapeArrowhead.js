@@ -0,0 +1,116 @@
+/**
+ * Arrowhead helpers
+ * Geometry of the heads at the ends of an arrow, shared by the canvas renderer and the SVG exporter
+ */
+
+export const ARROWHEAD_TYPES = ['none', 'triangle', 'bar', 'dot'];
+
+// Shapes that can carry arrowheads
+export const ARROW_SHAPE_TYPES = ['arrow'];
+
+// Arrowheads grow with the stroke width but never get too small to see
+const MIN_ARROWHEAD_SIZE = 10;
+const ARROWHEAD_SIZE_PER_WIDTH = 4;
+
+// Half-angle of a triangle head
+const TRIANGLE_ANGLE = Math.PI / 7;
+
+/**
+ * Check whether a shape type can carry arrowheads
+ * @param {string} type - Shape type or tool id
+ * @returns {boolean}
+ */
+export const supportsArrowheads = (type) => ARROW_SHAPE_TYPES.includes(type);
+
+/**
+ * Length of an arrowhead for a stroke width
+ * @param {number} strokeWidth - Stroke width of the arrow
+ * @returns {number} - Arrowhead size in scene units
+ */
+export const getArrowheadSize = (strokeWidth = 2) => (
+  Math.max(MIN_ARROWHEAD_SIZE, strokeWidth * ARROWHEAD_SIZE_PER_WIDTH)
+);
+
+/**
+ * Build the geometry of the arrowhead at one end of an arrow
+ * @param {Array} points - Arrow points
+ * @param {string} end - 'start' or 'end'
+ * @param {string} type - One of ARROWHEAD_TYPES
+ * @param {number} strokeWidth - Stroke width of the arrow
+ * @returns {Object|null} - {type: 'triangle', points}, {type: 'bar', points} or {type: 'dot', center, radius};
+ *   null when there is no head
+ */
+export const getArrowhead = (points, end, type, strokeWidth) => {
+  if (!type || type === 'none' || !points || points.length < 2) return null;
+
+  const ordered = end === 'start' ? [...points].reverse() : points;
+  const tip = ordered[ordered.length - 1];
+
+  // Aim along the last segment that has a length, so stacked points don't break the direction
+  let from = null;
+  for (let i = ordered.length - 2; i >= 0; i--) {
+    if (ordered[i].x !== tip.x || ordered[i].y !== tip.y) {
+      from = ordered[i];
+      break;
+    }
+  }
+  if (!from) return null;
+
+  const size = getArrowheadSize(strokeWidth);
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+
+  switch (type) {
+    case 'triangle':
+      return {
+        type,
+        points: [
+          {
+            x: tip.x - size * Math.cos(angle - TRIANGLE_ANGLE),
+            y: tip.y - size * Math.sin(angle - TRIANGLE_ANGLE)
+          },
+          { x: tip.x, y: tip.y },
+          {
+            x: tip.x - size * Math.cos(angle + TRIANGLE_ANGLE),
+            y: tip.y - size * Math.sin(angle + TRIANGLE_ANGLE)
+          }
+        ]
+      };
+
+    case 'bar': {
+      // Perpendicular to the arrow, centered on the tip
+      const half = size / 2;
+      const normal = { x: -Math.sin(angle), y: Math.cos(angle) };
+      return {
+        type,
+        points: [
+          { x: tip.x + normal.x * half, y: tip.y + normal.y * half },
+          { x: tip.x - normal.x * half, y: tip.y - normal.y * half }
+        ]
+      };
+    }
+
+    case 'dot':
+      return {
+        type,
+        center: { x: tip.x, y: tip.y },
+        radius: size / 3
+      };
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Both arrowheads of an arrow shape
+ * @param {Object} shape - The arrow
+ * @returns {Array<Object>} - Arrowhead geometries (see getArrowhead)
+ */
+export const getArrowheads = (shape) => {
+  if (!shape || !supportsArrowheads(shape.type)) return [];
+
+  return [
+    getArrowhead(shape.points, 'start', shape.startArrowhead, shape.strokeWidth),
+    getArrowhead(shape.points, 'end', shape.endArrowhead, shape.strokeWidth)
+  ].filter(Boolean);
+};
@@ -0,0 +1,217 @@
+import { getCircleCenter, isLinearShape } from './ShapeGeometry';
+import { supportsArrowheads } from './ShapeArrowhead';
+import { isPolygonType, getPolygonVertices } from './ShapePolygon';
+
+/**
+ * Arrow bindings
+ * An arrow end dropped near a shape attaches to it. The binding is stored on the arrow as
+ * `startBinding` / `endBinding` = {id}, and the end is kept on the bound shape's outline,
+ * aimed at its center, whenever the shape changes.
+ */
+
+// Shapes arrows can attach to
+export const BINDABLE_SHAPE_TYPES = [
+  'rectangle',
+  'circle',
+  'triangle',
+  'diamond',
+  'polygon',
+  'star',
+  'text',
+  'image'
+];
+
+// How close (in scene units) an arrow end must be dropped to a shape's outline to attach
+export const BINDING_DISTANCE = 10;
+
+// Space left between a bound arrow end and the outline, so heads don't overlap the stroke
+const BINDING_GAP = 4;
+
+/**
+ * Check whether arrows can attach to a shape
+ * @param {Object} shape - The shape
+ * @returns {boolean}
+ */
+export const isBindableShape = (shape) => !!shape && BINDABLE_SHAPE_TYPES.includes(shape.type);
+
+/**
+ * Center of a bindable shape
+ * @param {Object} shape - Bindable shape
+ * @returns {Object} - {x, y}
+ */
+const getBindingCenter = (shape) => {
+  if (shape.type === 'circle') return getCircleCenter(shape);
+  return {
+    x: shape.x + (shape.width || 0) / 2,
+    y: shape.y + (shape.height || 0) / 2
+  };
+};
+
+/**
+ * Distance from a point inside a polygon to its outline along a direction
+ * @param {Array} vertices - Polygon corners
+ * @param {Object} origin - Start of the ray
+ * @param {Object} direction - Unit vector {x, y}
+ * @returns {number} - Distance to the nearest edge crossed, or 0 if none is
+ */
+const getPolygonReach = (vertices, origin, direction) => {
+  let reach = Infinity;
+  vertices.forEach((a, i) => {
+    const b = vertices[(i + 1) % vertices.length];
+    const edge = { x: b.x - a.x, y: b.y - a.y };
+    const denominator = direction.x * edge.y - direction.y * edge.x;
+    if (denominator === 0) return;
+
+    // Solve origin + direction * t = a + edge * s
+    const t = ((a.x - origin.x) * edge.y - (a.y - origin.y) * edge.x) / denominator;
+    const s = ((a.x - origin.x) * direction.y - (a.y - origin.y) * direction.x) / denominator;
+    if (t >= 0 && s >= 0 && s <= 1) {
+      reach = Math.min(reach, t);
+    }
+  });
+  return Number.isFinite(reach) ? reach : 0;
+};
+
+/**
+ * Check whether a point is close enough to a shape for an arrow end to attach
+ * @param {Object} point - {x, y}
+ * @param {Object} shape - Bindable shape
+ * @returns {boolean}
+ */
+const isNearShape = (point, shape) => {
+  if (shape.type === 'circle') {
+    const center = getCircleCenter(shape);
+    const rx = shape.radiusX + BINDING_DISTANCE;
+    const ry = shape.radiusY + BINDING_DISTANCE;
+    const dx = point.x - center.x;
+    const dy = point.y - center.y;
+    return (dx * dx) / (rx * rx) + (dy * dy) / (ry * ry) <= 1;
+  }
+
+  return (
+    point.x >= shape.x - BINDING_DISTANCE &&
+    point.x <= shape.x + (shape.width || 0) + BINDING_DISTANCE &&
+    point.y >= shape.y - BINDING_DISTANCE &&
+    point.y <= shape.y + (shape.height || 0) + BINDING_DISTANCE
+  );
+};
+
+/**
+ * Find the shape an arrow end dropped at a point would attach to (the topmost one)
+ * @param {Object} point - {x, y}
+ * @param {Array} shapes - All shapes
+ * @param {string|null} excludeId - Id to skip, e.g. the arrow itself
+ * @returns {Object|null} - The shape, or null if none is close enough
+ */
+export const findBindableShape = (point, shapes, excludeId = null) => {
+  for (let i = shapes.length - 1; i >= 0; i--) {
+    const shape = shapes[i];
+    if (shape && shape.id !== excludeId && isBindableShape(shape) && isNearShape(point, shape)) {
+      return shape;
+    }
+  }
+  return null;
+};
+
+/**
+ * Where a bound arrow end sits: on the shape's outline, on the line from its center toward `toward`
+ * @param {Object} shape - Bound shape
+ * @param {Object} toward - Point the arrow comes from
+ * @returns {Object} - {x, y}
+ */
+export const getBindingPoint = (shape, toward) => {
+  const center = getBindingCenter(shape);
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+  const distance = Math.hypot(dx, dy);
+  if (distance === 0) return center;
+
+  let reach;
+  if (shape.type === 'circle') {
+    // Distance from the center to the ellipse outline in this direction
+    const ux = dx / distance;
+    const uy = dy / distance;
+    reach = 1 / Math.sqrt(
+      (ux * ux) / (shape.radiusX * shape.radiusX || 1) +
+      (uy * uy) / (shape.radiusY * shape.radiusY || 1)
+    );
+  } else if (isPolygonType(shape.type)) {
+    reach = getPolygonReach(getPolygonVertices(shape), center, { x: dx / distance, y: dy / distance });
+  } else {
+    // Distance from the center to the box edge in this direction
+    const halfWidth = (shape.width || 0) / 2;
+    const halfHeight = (shape.height || 0) / 2;
+    reach = Math.min(
+      dx !== 0 ? halfWidth * distance / Math.abs(dx) : Infinity,
+      dy !== 0 ? halfHeight * distance / Math.abs(dy) : Infinity
+    );
+  }
+
+  // Never push the end past the point it comes from
+  const offset = Math.min(reach + BINDING_GAP, distance);
+  return {
+    x: center.x + dx / distance * offset,
+    y: center.y + dy / distance * offset
+  };
+};
+
+/**
+ * Recompute the bound ends of an arrow from the current shapes.
+ * Bindings to shapes that no longer exist are dropped and the end stays where it is.
+ * @param {Object} arrow - The arrow
+ * @param {Array} shapes - All shapes
+ * @returns {Object} - The updated arrow (the same object when it has no bindings)
+ */
+export const updateArrowBindings = (arrow, shapes) => {
+  if (!arrow.startBinding && !arrow.endBinding) return arrow;
+
+  const findShape = (binding) => (binding ? shapes.find(s => s.id === binding.id && isBindableShape(s)) : null);
+  const startShape = findShape(arrow.startBinding);
+  const endShape = findShape(arrow.endBinding);
+
+  const updated = { ...arrow, points: [...arrow.points] };
+  const last = updated.points.length - 1;
+
+  if (!startShape) delete updated.startBinding;
+  if (!endShape) delete updated.endBinding;
+
+  // A straight arrow bound at both ends aims each end at the other shape's center
+  const startToward = endShape && last === 1 ? getBindingCenter(endShape) : updated.points[1];
+  const endToward = startShape && last === 1 ? getBindingCenter(startShape) : updated.points[last - 1];
+
+  if (startShape) updated.points[0] = getBindingPoint(startShape, startToward);
+  if (endShape) updated.points[last] = getBindingPoint(endShape, endToward);
+
+  return updated;
+};
+
+/**
+ * Recompute every bound arrow, e.g. after shapes were moved, resized or deleted
+ * @param {Array} shapes - All shapes
+ * @returns {Array} - Shapes with bound arrows updated
+ */
+export const updateBoundArrows = (shapes) => shapes.map(shape => (
+  shape && supportsArrowheads(shape.type) ? updateArrowBindings(shape, shapes) : shape
+));
+
+/**
+ * Attach or detach both ends of an arrow depending on what they were dropped on
+ * @param {Object} arrow - The arrow
+ * @param {Array} shapes - All shapes
+ * @returns {Object} - The arrow with fresh bindings and its bound ends snapped to their shapes
+ */
+export const bindArrow = (arrow, shapes) => {
+  if (!isLinearShape(arrow) || !supportsArrowheads(arrow.type)) return arrow;
+
+  const start = findBindableShape(arrow.points[0], shapes, arrow.id);
+  const end = findBindableShape(arrow.points[arrow.points.length - 1], shapes, arrow.id);
+
+  const bound = { ...arrow };
+  delete bound.startBinding;
+  delete bound.endBinding;
+  if (start) bound.startBinding = { id: start.id };
+  // An arrow can't start and end on the same shape
+  if (end && end !== start) bound.endBinding = { id: end.id };
+
+  return updateArrowBindings(bound, shapes);
+};
@@ -1,4 +1,26 @@
-import { getCircleCenter } from './ShapeGeometry';
+import { getCircleCenter, isLinearShape, distanceToSegment, getRoundedRectDistance } from './ShapeGeometry';
+import { hasFill, getCornerRadius, STROKE_WIDTHS } from './ShapeStyle';
+import { isPolygonType, getPolygonVertices, isPointInPolygon } from './ShapePolygon';
+import { getPointPressure, getPressureWidth } from './ShapeStroke';
+
+// How close (in scene units) a point must be to an outline or stroke to hit it
+const HIT_TOLERANCE = 5;
+
+/**
+ * Check if a point lies inside a box grown by a margin (negative margins shrink it)
+ */
+const isPointInBox = (point, box, margin = 0) => (
+  point.x >= box.x - margin &&
+  point.x <= box.x + box.width + margin &&
+  point.y >= box.y - margin &&
+  point.y <= box.y + box.height + margin
+);
+
+/**
+ * How close a point must be to a shape's outline to hit it: the tolerance plus the half
+ * of the stroke that sits outside (or inside) the outline
+ */
+const getOutlineTolerance = (shape) => HIT_TOLERANCE + (shape.strokeWidth ?? STROKE_WIDTHS.medium) / 2;
 
 /**
  * Checks if a point is inside a shape
@@ -12,12 +34,21 @@ export function isPointInShape(point, shape) {
   if (shape.type === 'rectangle') {
     // For rectangles with explicit width/height
     if ('x' in shape && 'y' in shape && 'width' in shape && 'height' in shape) {
-      return (
-        point.x >= shape.x &&
-        point.x <= shape.x + shape.width &&
-        point.y >= shape.y &&
-        point.y <= shape.y + shape.height
-      );
+      // Rounded corners follow their arcs
+      const radius = getCornerRadius(shape);
+      const tolerance = getOutlineTolerance(shape);
+      if (radius > 0) {
+        const distance = getRoundedRectDistance(point, shape, radius);
+        return hasFill(shape) ? distance <= tolerance : Math.abs(distance) <= tolerance;
+      }
+      
+      // Filled rectangles are hit anywhere inside, and on their stroke
+      if (hasFill(shape)) {
+        return isPointInBox(point, shape, tolerance);
+      }
+
+      // Hollow rectangles are only hit near their outline, so shapes behind them stay clickable
+      return isPointInBox(point, shape, tolerance) && !isPointInBox(point, shape, -tolerance);
     }
     
     // For rectangles with start/end points
@@ -33,18 +64,30 @@ export function isPointInShape(point, shape) {
       point.y <= maxY
     );
   } else if (shape.type === 'circle') {
-    // For circles with explicit center and radius
-    if ('x' in shape && 'y' in shape && 'radius' in shape) {
-      // Get the center of the circle
+    // For ellipses with a top-left corner and two radii
+    if ('x' in shape && 'y' in shape && 'radiusX' in shape && 'radiusY' in shape) {
+      // Get the center of the ellipse
       const center = getCircleCenter(shape);
-      
-      // Calculate distance from center to point
       const dx = point.x - center.x;
       const dy = point.y - center.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
       
-      // Point is inside if distance to center is less than radius
-      return distance <= shape.radius;
+      // Is the point inside the ellipse with radii grown by `grow`?
+      const isInside = (grow) => {
+        const rx = shape.radiusX + grow;
+        const ry = shape.radiusY + grow;
+        if (rx <= 0 || ry <= 0) return false;
+        return (dx * dx) / (rx * rx) + (dy * dy) / (ry * ry) <= 1;
+      };
+      
+      const tolerance = getOutlineTolerance(shape);
+      
+      // Filled ellipses are hit anywhere inside, and on their stroke
+      if (hasFill(shape)) {
+        return isInside(tolerance);
+      }
+
+      // Hollow ellipses are only hit near their outline
+      return isInside(tolerance) && !isInside(-tolerance);
     }
     
     // For circles with start/end points
@@ -61,41 +104,35 @@ export function isPointInShape(point, shape) {
     );
 
     return distance <= radius;
-  } else if (shape.type === 'triangle') {
-    // Check if point is inside triangle using barycentric coordinates
-    const p1 = { x: shape.startX, y: shape.startY };
-    const p2 = { x: shape.endX, y: shape.endY };
-    const p3 = { x: shape.startX - (shape.endX - shape.startX), y: shape.endY };
-
-    const area = 0.5 * Math.abs(
-      p1.x * (p2.y - p3.y) +
-      p2.x * (p3.y - p1.y) +
-      p3.x * (p1.y - p2.y)
-    );
-
-    const s = 1 / (2 * area) * (
-      p1.y * p3.x - p1.x * p3.y +
-      (p3.y - p1.y) * point.x +
-      (p1.x - p3.x) * point.y
-    );
+  } else if (isPolygonType(shape.type)) {
+    const vertices = getPolygonVertices(shape);
+    const tolerance = getOutlineTolerance(shape);
+    const isNearOutline = vertices.some((vertex, i) => (
+      distanceToSegment(point, vertex, vertices[(i + 1) % vertices.length]) <= tolerance
+    ));
 
-    const t = 1 / (2 * area) * (
-      p1.x * p2.y - p1.y * p2.x +
-      (p1.y - p2.y) * point.x +
-      (p2.x - p1.x) * point.y
-    );
-
-    const u = 1 - s - t;
+    // Filled polygons are hit anywhere inside, and on their stroke
+    if (hasFill(shape)) {
+      return isNearOutline || isPointInPolygon(point, vertices);
+    }
 
-    return s >= 0 && t >= 0 && u >= 0;
+    // Hollow polygons are only hit near their outline
+    return isNearOutline;
   } else if (shape.type === 'pencil' && shape.points) {
     // For pencil, check if point is close to any of the line segments
-    const tolerance = 5; // Distance tolerance
+    const strokeWidth = shape.strokeWidth ?? STROKE_WIDTHS.medium;
     
     for (let i = 0; i < shape.points.length - 1; i++) {
       const p1 = shape.points[i];
       const p2 = shape.points[i + 1];
       
+      // Reach the visible edge of the stroke, which follows the pressure at either end
+      const halfWidth = Math.max(
+        getPressureWidth(getPointPressure(p1), strokeWidth),
+        getPressureWidth(getPointPressure(p2), strokeWidth)
+      ) / 2;
+      const tolerance = HIT_TOLERANCE + halfWidth;
+      
       // Calculate distance from point to line segment
       const lengthSquared = Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2);
       if (lengthSquared === 0) continue; // Same point
@@ -122,8 +159,19 @@ export function isPointInShape(point, shape) {
     }
     
     return false;
-  } else if (shape.type === 'text') {
-    // Get the text bounding box and check if point is inside
+  } else if (isLinearShape(shape) && shape.points) {
+    // Lines are hit anywhere within reach of one of their segments
+    const tolerance = getOutlineTolerance(shape);
+
+    for (let i = 0; i < shape.points.length - 1; i++) {
+      if (distanceToSegment(point, shape.points[i], shape.points[i + 1]) <= tolerance) {
+        return true;
+      }
+    }
+
+    return false;
+  } else if (shape.type === 'text' || shape.type === 'image') {
+    // Get the text or image bounding box and check if point is inside
     const box = getShapeBoundingBox(shape);
     
     return (
@@ -138,20 +186,78 @@ export function isPointInShape(point, shape) {
 }
 
 /**
- * Gets the bounding box of a shape
+ * Gets the bounding box of a shape, including the half of its stroke that
+ * sits outside the outline so thick strokes stay inside the selection
  * @param {Object} shape - The shape to get bounding box of
  * @returns {Object} - The bounding box with x, y, width, height
  */
 export function getShapeBoundingBox(shape) {
   if (!shape) return null;
-  if (shape.type === 'rectangle' || shape.type === 'text') {
-    // For text shapes, use top-left coordinates directly from the shape
+  if (shape.type === 'text' || shape.type === 'image') {
+    // For text and image shapes, use top-left coordinates directly from the shape
     return { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
   }
-  if (shape.type === 'circle') {
+
+  let box;
+  if (shape.type === 'rectangle' || isPolygonType(shape.type)) {
+    box = { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
+  } else if (shape.type === 'circle') {
     // For circles created using createCircle
-    return { x: shape.x, y: shape.y, width: shape.radius * 2, height: shape.radius * 2 };
+    box = { x: shape.x, y: shape.y, width: shape.radiusX * 2, height: shape.radiusY * 2 };
+  } else if ((shape.type === 'pencil' || isLinearShape(shape)) && shape.points?.length > 0) {
+    const xs = shape.points.map(p => p.x);
+    const ys = shape.points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    box = { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+  } else {
+    // Fallback for other shapes
+    return { x: shape.x || 0, y: shape.y || 0, width: shape.width || 0, height: shape.height || 0 };
   }
-  // Fallback for other shapes
-  return { x: shape.x || 0, y: shape.y || 0, width: shape.width || 0, height: shape.height || 0 };
-} 
\ No newline at end of file
+
+  const strokeWidth = shape.strokeWidth ?? STROKE_WIDTHS.medium;
+  // Pencil strokes are as wide as their heaviest pressure
+  const halfStroke = shape.type === 'pencil'
+    ? Math.max(...shape.points.map(p => getPressureWidth(getPointPressure(p), strokeWidth))) / 2
+    : strokeWidth / 2;
+  return {
+    x: box.x - halfStroke,
+    y: box.y - halfStroke,
+    width: box.width + halfStroke * 2,
+    height: box.height + halfStroke * 2
+  };
+}
+
+// Points sampled around an ellipse when testing whether it lies inside an area
+const ELLIPSE_OUTLINE_POINTS = 16;
+
+/**
+ * Gets points along the outline of a shape, e.g. to test whether it lies inside a lasso
+ * @param {Object} shape - The shape
+ * @returns {Array} - Outline points; every point of a pencil stroke or line
+ */
+export function getShapeOutlinePoints(shape) {
+  if (!shape) return [];
+  if (Array.isArray(shape.points)) return shape.points;
+  if (isPolygonType(shape.type)) return getPolygonVertices(shape);
+  
+  if (shape.type === 'circle') {
+    const center = getCircleCenter(shape);
+    return Array.from({ length: ELLIPSE_OUTLINE_POINTS }, (_, i) => {
+      const angle = (i / ELLIPSE_OUTLINE_POINTS) * Math.PI * 2;
+      return {
+        x: center.x + shape.radiusX * Math.cos(angle),
+        y: center.y + shape.radiusY * Math.sin(angle)
+      };
+    });
+  }
+  
+  // Rectangles, text and images: the corners of their box
+  const box = { x: shape.x, y: shape.y, width: shape.width || 0, height: shape.height || 0 };
+  return [
+    { x: box.x, y: box.y },
+    { x: box.x + box.width, y: box.y },
+    { x: box.x + box.width, y: box.y + box.height },
+    { x: box.x, y: box.y + box.height }
+  ];
+}
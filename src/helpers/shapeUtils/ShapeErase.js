@@ -0,0 +1,256 @@
+import { isPointInShape } from './ShapeDetection';
+import { generateId, isLinearShape, distanceToSegment, distanceBetweenSegments } from './ShapeGeometry';
+import { STROKE_WIDTHS, hasFill, getCornerRadius } from './ShapeStyle';
+import { isPolygonType, getPolygonVertices } from './ShapePolygon';
+import { updateBoundArrows } from './ShapeBinding';
+import { getPointPressure, getPressureWidth } from './ShapeStroke';
+
+/**
+ * Eraser
+ * The eraser sweeps a circle along the pointer's path. Pencil strokes are cut where it crosses
+ * them and the pieces left over become separate strokes; any other shape it touches is removed.
+ */
+
+// Radius of the eraser in screen pixels; callers divide by the zoom level
+export const ERASER_RADIUS = 8;
+
+// Search steps used to find where the eraser enters and leaves a stroke segment
+const CUT_SEARCH_STEPS = 24;
+
+// Segments sampled along each rounded rectangle corner
+const CORNER_SEGMENTS = 8;
+
+// Boxes that are hit anywhere inside, whatever their fill
+const BOX_SHAPE_TYPES = ['text', 'image'];
+
+/**
+ * Closed outline of a shape as a polygon, with curves sampled finely enough to measure against
+ * @param {Object} shape - A rectangle, ellipse, polygon, text or image shape
+ * @returns {Array|null} - Outline points, or null for shapes without a closed outline
+ */
+const getOutlinePolygon = (shape) => {
+  if (isPolygonType(shape.type)) return getPolygonVertices(shape);
+
+  if (shape.type === 'circle') {
+    const { radiusX, radiusY } = shape;
+    const cx = shape.x + radiusX;
+    const cy = shape.y + radiusY;
+    const steps = Math.min(180, Math.max(24, Math.round(Math.PI * (radiusX + radiusY) / 6)));
+    return Array.from({ length: steps }, (_, i) => {
+      const angle = (i / steps) * Math.PI * 2;
+      return { x: cx + radiusX * Math.cos(angle), y: cy + radiusY * Math.sin(angle) };
+    });
+  }
+
+  if (shape.type === 'rectangle' || BOX_SHAPE_TYPES.includes(shape.type)) {
+    const { x, y, width = 0, height = 0 } = shape;
+    const radius = getCornerRadius(shape);
+    if (!(radius > 0)) {
+      return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+    }
+
+    // Corner arc centers and the angle each arc starts at, clockwise from the top-left
+    const corners = [
+      { cx: x + radius, cy: y + radius, start: Math.PI },
+      { cx: x + width - radius, cy: y + radius, start: Math.PI * 1.5 },
+      { cx: x + width - radius, cy: y + height - radius, start: 0 },
+      { cx: x + radius, cy: y + height - radius, start: Math.PI / 2 }
+    ];
+    return corners.flatMap(corner => Array.from({ length: CORNER_SEGMENTS + 1 }, (_, step) => {
+      const angle = corner.start + (Math.PI / 2) * (step / CORNER_SEGMENTS);
+      return { x: corner.cx + radius * Math.cos(angle), y: corner.cy + radius * Math.sin(angle) };
+    }));
+  }
+
+  return null;
+};
+
+/**
+ * Check whether the eraser, swept from one point to another, touches a (non-pencil) shape
+ * @param {Object} shape - The shape
+ * @param {Object} from - Previous eraser position
+ * @param {Object} to - Current eraser position
+ * @param {number} radius - Eraser radius in scene units
+ * @returns {boolean}
+ */
+const isTouchedByEraser = (shape, from, to, radius) => {
+  // Lines and arrows are measured against their segments directly
+  if (isLinearShape(shape) && shape.points) {
+    const reach = radius + (shape.strokeWidth ?? STROKE_WIDTHS.medium) / 2;
+    return shape.points.slice(0, -1).some((p, i) => (
+      distanceBetweenSegments(p, shape.points[i + 1], from, to) <= reach
+    ));
+  }
+
+  // Closed shapes are erased when the eraser reaches their stroke...
+  const outline = getOutlinePolygon(shape);
+  if (outline) {
+    const isBox = BOX_SHAPE_TYPES.includes(shape.type);
+    const reach = radius + (isBox ? 0 : (shape.strokeWidth ?? STROKE_WIDTHS.medium) / 2);
+    const touchesOutline = outline.some((p, i) => (
+      distanceBetweenSegments(p, outline[(i + 1) % outline.length], from, to) <= reach
+    ));
+    if (touchesOutline) return true;
+
+    // ...or, when they are filled, a sweep that stays inside them
+    return (isBox || hasFill(shape)) && (isPointInShape(from, shape) || isPointInShape(to, shape));
+  }
+
+  // Anything else is hit-tested at points along the sweep, no further apart than the eraser is wide
+  const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / radius));
+  for (let i = 0; i <= steps; i++) {
+    const point = {
+      x: from.x + (to.x - from.x) * (i / steps),
+      y: from.y + (to.y - from.y) * (i / steps)
+    };
+    if (isPointInShape(point, shape)) return true;
+  }
+  return false;
+};
+
+/**
+ * Point part of the way along a stroke segment, with the pressure in between
+ */
+const interpolateStrokePoint = (p1, p2, t) => {
+  const point = { x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t };
+  if ('pressure' in p1 || 'pressure' in p2) {
+    const pressure = getPointPressure(p1);
+    point.pressure = pressure + (getPointPressure(p2) - pressure) * t;
+  }
+  return point;
+};
+
+/**
+ * How far the eraser reaches into a stroke segment: its radius plus half the stroke's
+ * pressure-scaled width at the thicker end
+ */
+const getEraserReach = (shape, p1, p2, radius) => {
+  const strokeWidth = shape.strokeWidth ?? STROKE_WIDTHS.medium;
+  return radius + Math.max(
+    getPressureWidth(getPointPressure(p1), strokeWidth),
+    getPressureWidth(getPointPressure(p2), strokeWidth)
+  ) / 2;
+};
+
+/**
+ * Find the part of a stroke segment the eraser's sweep covers
+ * @param {Object} p1 - Segment start
+ * @param {Object} p2 - Segment end
+ * @param {Object} from - Previous eraser position
+ * @param {Object} to - Current eraser position
+ * @param {number} reach - Distance from the sweep within which the stroke is erased
+ * @returns {Array|null} - [start, end] as fractions along the segment, or null when it is out of reach
+ */
+const getErasedRange = (p1, p2, from, to, reach) => {
+  const distanceAt = (t) => distanceToSegment(interpolateStrokePoint(p1, p2, t), from, to);
+
+  // The distance to the sweep only falls and then rises along the segment,
+  // so first find its closest point...
+  let low = 0;
+  let high = 1;
+  for (let step = 0; step < CUT_SEARCH_STEPS; step++) {
+    const a = low + (high - low) / 3;
+    const b = high - (high - low) / 3;
+    if (distanceAt(a) <= distanceAt(b)) {
+      high = b;
+    } else {
+      low = a;
+    }
+  }
+  const closest = (low + high) / 2;
+  if (distanceAt(closest) > reach) return null;
+
+  // ...then the entry and exit points on either side of it
+  const findEdge = (inside, outside) => {
+    if (distanceAt(outside) <= reach) return outside;
+    for (let step = 0; step < CUT_SEARCH_STEPS; step++) {
+      const middle = (inside + outside) / 2;
+      if (distanceAt(middle) <= reach) {
+        inside = middle;
+      } else {
+        outside = middle;
+      }
+    }
+    return outside;
+  };
+  return [findEdge(closest, 0), findEdge(closest, 1)];
+};
+
+/**
+ * Cut a pencil stroke where the eraser sweeps across it
+ * @param {Object} shape - Pencil shape
+ * @param {Object} from - Previous eraser position
+ * @param {Object} to - Current eraser position
+ * @param {number} radius - Eraser radius in scene units
+ * @returns {Array|null} - The remaining pieces as new pencil shapes (possibly none),
+ *   or null when the eraser missed the stroke
+ */
+export const splitPencilStroke = (shape, from, to, radius) => {
+  const points = shape.points || [];
+
+  if (points.length < 2) {
+    return points.length === 1 &&
+      distanceToSegment(points[0], from, to) <= getEraserReach(shape, points[0], points[0], radius)
+      ? []
+      : null;
+  }
+
+  // Walk the segments. Simplified strokes can have long segments, so each one is cut where the
+  // eraser enters and leaves it: the part before ends the current piece, the part after starts the next.
+  const pieces = [];
+  let current = [points[0]];
+  let isErased = false;
+  for (let i = 0; i < points.length - 1; i++) {
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const range = getErasedRange(p1, p2, from, to, getEraserReach(shape, p1, p2, radius));
+    if (!range) {
+      current.push(p2);
+      continue;
+    }
+
+    isErased = true;
+    const [start, end] = range;
+    if (start > 0) current.push(interpolateStrokePoint(p1, p2, start));
+    if (current.length > 1) pieces.push(current);
+    current = end < 1 ? [interpolateStrokePoint(p1, p2, end), p2] : [p2];
+  }
+  if (current.length > 1) pieces.push(current);
+
+  if (!isErased) return null;
+  return pieces.map(piece => ({ ...shape, id: generateId(), points: piece }));
+};
+
+/**
+ * Erase everything the eraser sweeps over between two pointer positions
+ * @param {Array} shapes - All shapes
+ * @param {Object} from - Previous eraser position
+ * @param {Object} to - Current eraser position
+ * @param {number} radius - Eraser radius in scene units
+ * @returns {{shapes: Array, changed: boolean}} - Shapes after erasing (the same array when nothing changed)
+ */
+export const eraseShapes = (shapes, from, to, radius) => {
+  let changed = false;
+  const next = [];
+
+  shapes.forEach(shape => {
+    if (!shape) return;
+
+    if (shape.type === 'pencil') {
+      const pieces = splitPencilStroke(shape, from, to, radius);
+      if (pieces) {
+        changed = true;
+        next.push(...pieces);
+        return;
+      }
+    } else if (isTouchedByEraser(shape, from, to, radius)) {
+      changed = true;
+      return;
+    }
+
+    next.push(shape);
+  });
+
+  // Arrows bound to erased shapes let go of them
+  return changed ? { shapes: updateBoundArrows(next), changed } : { shapes, changed };
+};
@@ -15,10 +15,11 @@ export const generateId = () => {
 export const scaleCircle = (circle, scaleFactor) => {
   if (!circle || circle.type !== 'circle') return circle;
   
-  // Create a new circle with scaled radius
+  // Create a new circle with scaled radii
   return {
     ...circle,
-    radius: circle.radius * scaleFactor
+    radiusX: circle.radiusX * scaleFactor,
+    radiusY: circle.radiusY * scaleFactor
   };
 };
 
@@ -30,10 +31,10 @@ export const scaleCircle = (circle, scaleFactor) => {
 export const getCircleCenter = (circle) => {
   if (!circle || circle.type !== 'circle') return { x: 0, y: 0 };
   
-  if ('x' in circle && 'y' in circle && 'radius' in circle) {
+  if ('x' in circle && 'y' in circle && 'radiusX' in circle && 'radiusY' in circle) {
     return {
-      x: circle.x + circle.radius,
-      y: circle.y + circle.radius
+      x: circle.x + circle.radiusX,
+      y: circle.y + circle.radiusY
     };
   }
   
@@ -78,4 +79,98 @@ export const calculateTextMetrics = (text, fontSize, fontFamily = 'Arial') => {
     height: totalHeight,
     lineHeight
   };
-}; 
\ No newline at end of file
+}; 
+
+// Shapes defined by a list of points that are edited through their endpoints
+export const LINEAR_SHAPE_TYPES = ['line', 'arrow'];
+
+// Linear shapes that can be bent by adding points in the middle of a segment
+export const ELBOW_SHAPE_TYPES = ['arrow'];
+
+/**
+ * Check whether a shape is a line-like shape with editable points
+ * @param {Object} shape - The shape
+ * @returns {boolean}
+ */
+export const isLinearShape = (shape) => !!shape && LINEAR_SHAPE_TYPES.includes(shape.type);
+
+/**
+ * Check whether elbows can be added to a shape
+ * @param {Object} shape - The shape
+ * @returns {boolean}
+ */
+export const supportsElbows = (shape) => !!shape && ELBOW_SHAPE_TYPES.includes(shape.type);
+
+/**
+ * Distance from a point to a line segment
+ * @param {Object} point - The point {x, y}
+ * @param {Object} p1 - Segment start {x, y}
+ * @param {Object} p2 - Segment end {x, y}
+ * @returns {number} - Shortest distance
+ */
+export const distanceToSegment = (point, p1, p2) => {
+  const lengthSquared = Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2);
+  if (lengthSquared === 0) {
+    return Math.hypot(point.x - p1.x, point.y - p1.y);
+  }
+
+  // Project the point onto the segment, clamped to its ends
+  const t = Math.max(0, Math.min(1, (
+    (point.x - p1.x) * (p2.x - p1.x) +
+    (point.y - p1.y) * (p2.y - p1.y)
+  ) / lengthSquared));
+
+  return Math.hypot(
+    point.x - (p1.x + t * (p2.x - p1.x)),
+    point.y - (p1.y + t * (p2.y - p1.y))
+  );
+};
+
+/**
+ * Shortest distance between two line segments (0 when they cross)
+ * @param {Object} a1 - First segment start {x, y}
+ * @param {Object} a2 - First segment end {x, y}
+ * @param {Object} b1 - Second segment start {x, y}
+ * @param {Object} b2 - Second segment end {x, y}
+ * @returns {number} - Shortest distance
+ */
+export const distanceBetweenSegments = (a1, a2, b1, b2) => {
+  // Which side of a line each end of the other segment is on
+  const side = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const d1 = side(b1, b2, a1);
+  const d2 = side(b1, b2, a2);
+  const d3 = side(a1, a2, b1);
+  const d4 = side(a1, a2, b2);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return 0;
+  }
+
+  // Otherwise the closest pair of points includes an end of one of the segments
+  return Math.min(
+    distanceToSegment(a1, b1, b2),
+    distanceToSegment(a2, b1, b2),
+    distanceToSegment(b1, a1, a2),
+    distanceToSegment(b2, a1, a2)
+  );
+};
+
+/**
+ * Signed distance from a point to the outline of a rounded rectangle:
+ * negative inside, positive outside
+ * @param {Object} point - The point {x, y}
+ * @param {Object} box - {x, y, width, height}
+ * @param {number} radius - Corner radius (0 for a sharp rectangle)
+ * @returns {number} - Signed distance
+ */
+export const getRoundedRectDistance = (point, box, radius = 0) => {
+  const halfWidth = box.width / 2;
+  const halfHeight = box.height / 2;
+
+  // Distance past the inner rectangle the corner arcs are centered on
+  const qx = Math.abs(point.x - (box.x + halfWidth)) - (halfWidth - radius);
+  const qy = Math.abs(point.y - (box.y + halfHeight)) - (halfHeight - radius);
+
+  const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0));
+  const inside = Math.min(Math.max(qx, qy), 0);
+  return outside + inside - radius;
+};
@@ -0,0 +1,100 @@
+/**
+ * Polygon shapes
+ * Triangles, diamonds, regular polygons and stars are stored like rectangles ({x, y, width, height})
+ * and their corners are derived from that box, so they move and resize exactly like rectangles.
+ */
+
+export const POLYGON_SHAPE_TYPES = ['triangle', 'diamond', 'polygon', 'star'];
+
+// Shapes with a configurable number of sides (polygon) or tips (star)
+export const SIDED_SHAPE_TYPES = ['polygon', 'star'];
+
+export const MIN_SIDES = 3;
+export const MAX_SIDES = 12;
+export const DEFAULT_SIDES = 5;
+
+// Inner corners of a star sit at this fraction of its outer radius
+const STAR_INNER_RATIO = 0.45;
+
+/**
+ * Check whether a shape type is one of the box-based polygon shapes
+ * @param {string} type - Shape type or tool id
+ * @returns {boolean}
+ */
+export const isPolygonType = (type) => POLYGON_SHAPE_TYPES.includes(type);
+
+/**
+ * Check whether a shape type has a configurable number of sides
+ * @param {string} type - Shape type or tool id
+ * @returns {boolean}
+ */
+export const supportsSides = (type) => SIDED_SHAPE_TYPES.includes(type);
+
+/**
+ * Corners of a polygon shape, clockwise from the top
+ * @param {Object} shape - Triangle, diamond, polygon or star shape
+ * @returns {Array} - Vertices as {x, y}
+ */
+export const getPolygonVertices = (shape) => {
+  const { x, y, width, height } = shape;
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+
+  switch (shape.type) {
+    case 'triangle':
+      return [
+        { x: cx, y },
+        { x: x + width, y: y + height },
+        { x, y: y + height }
+      ];
+
+    case 'diamond':
+      return [
+        { x: cx, y },
+        { x: x + width, y: cy },
+        { x: cx, y: y + height },
+        { x, y: cy }
+      ];
+
+    case 'polygon':
+    case 'star': {
+      const sides = Math.min(MAX_SIDES, Math.max(MIN_SIDES, Math.round(shape.sides || DEFAULT_SIDES)));
+      const isStar = shape.type === 'star';
+      const count = isStar ? sides * 2 : sides;
+      const vertices = [];
+
+      // Corners sit on the ellipse inscribed in the box, starting straight up
+      for (let i = 0; i < count; i++) {
+        const angle = -Math.PI / 2 + (i * Math.PI * 2) / count;
+        const scale = isStar && i % 2 === 1 ? STAR_INNER_RATIO : 1;
+        vertices.push({
+          x: cx + (width / 2) * scale * Math.cos(angle),
+          y: cy + (height / 2) * scale * Math.sin(angle)
+        });
+      }
+      return vertices;
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Check whether a point is inside a polygon (even-odd rule)
+ * @param {Object} point - {x, y}
+ * @param {Array} vertices - Polygon corners
+ * @returns {boolean}
+ */
+export const isPointInPolygon = (point, vertices) => {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
@@ -1,5 +1,171 @@
 import { getShapeBoundingBox } from './ShapeDetection';
-import { getCircleCenter } from './ShapeGeometry';
+import { isLinearShape, supportsElbows } from './ShapeGeometry';
+import { isPolygonType } from './ShapePolygon';
+import { supportsCornerRadius, getCornerRadius, STROKE_WIDTHS } from './ShapeStyle';
+
+// Handles on the points of a line are named "point-<index>"
+const POINT_HANDLE_PATTERN = /^point-(\d+)$/;
+
+// Handles in the middle of segment <index> are named "midpoint-<index>"
+const MIDPOINT_HANDLE_PATTERN = /^midpoint-(\d+)$/;
+
+// Shapes that keep their aspect ratio while resized; they only get corner handles
+const ASPECT_LOCKED_SHAPE_TYPES = ['image'];
+
+const CORNER_HANDLES = ['topLeft', 'topRight', 'bottomLeft', 'bottomRight'];
+
+// The corner radius handle sits inside the top-left corner, at least this far in
+// so it stays clear of the topLeft resize handle
+const CORNER_HANDLE_MIN_OFFSET = 12;
+
+/**
+ * Get the point index a handle refers to
+ * @param {string} handle - Handle name
+ * @returns {number|null} - Index into shape.points, or null for box handles
+ */
+export const getPointHandleIndex = (handle) => {
+  const match = POINT_HANDLE_PATTERN.exec(handle || '');
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Get the segment index a midpoint handle refers to
+ * @param {string} handle - Handle name
+ * @returns {number|null} - Index of the segment's first point, or null for other handles
+ */
+export const getMidpointHandleIndex = (handle) => {
+  const match = MIDPOINT_HANDLE_PATTERN.exec(handle || '');
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Bend a linear shape by inserting a new point in the middle of one of its segments
+ * @param {Object} shape - Shape that supports elbows
+ * @param {number} segmentIndex - Index of the segment's first point
+ * @returns {Object} - Copy of the shape with the new point; it sits at points[segmentIndex + 1]
+ */
+export const addElbowPoint = (shape, segmentIndex) => {
+  const p1 = shape.points[segmentIndex];
+  const p2 = shape.points[segmentIndex + 1];
+  if (!p1 || !p2) return shape;
+
+  const points = [...shape.points];
+  points.splice(segmentIndex + 1, 0, { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 });
+  return { ...shape, points };
+};
+
+/**
+ * Move the edges of a box that a resize handle controls; the opposite edges stay fixed
+ * @param {Object} box - {x, y, width, height}
+ * @param {string} handle - The handle being dragged
+ * @param {Object} point - The new point position
+ * @param {number} minSize - Smallest allowed width and height
+ * @returns {Object} - The resized box
+ */
+const resizeBox = (box, handle, point, minSize) => {
+  const next = { ...box };
+  
+  switch (handle) {
+    case 'topLeft': {
+      const fixedRight = box.x + box.width;
+      const fixedBottom = box.y + box.height;
+      next.x = Math.min(point.x, fixedRight - minSize);
+      next.y = Math.min(point.y, fixedBottom - minSize);
+      next.width = fixedRight - next.x;
+      next.height = fixedBottom - next.y;
+      break;
+    }
+    case 'topCenter': {
+      const fixedBottom = box.y + box.height;
+      next.y = Math.min(point.y, fixedBottom - minSize);
+      next.height = fixedBottom - next.y;
+      break;
+    }
+    case 'topRight': {
+      const fixedLeft = box.x;
+      const fixedBottom = box.y + box.height;
+      next.y = Math.min(point.y, fixedBottom - minSize);
+      next.width = Math.max(point.x - fixedLeft, minSize);
+      next.height = fixedBottom - next.y;
+      break;
+    }
+    case 'middleLeft': {
+      const fixedRight = box.x + box.width;
+      next.x = Math.min(point.x, fixedRight - minSize);
+      next.width = fixedRight - next.x;
+      break;
+    }
+    case 'middleRight': {
+      const fixedLeft = box.x;
+      next.width = Math.max(point.x - fixedLeft, minSize);
+      break;
+    }
+    case 'bottomLeft': {
+      const fixedTop = box.y;
+      const fixedRight = box.x + box.width;
+      next.x = Math.min(point.x, fixedRight - minSize);
+      next.width = fixedRight - next.x;
+      next.height = Math.max(point.y - fixedTop, minSize);
+      break;
+    }
+    case 'bottomCenter': {
+      const fixedTop = box.y;
+      next.height = Math.max(point.y - fixedTop, minSize);
+      break;
+    }
+    case 'bottomRight': {
+      const fixedTop = box.y;
+      const fixedLeft = box.x;
+      next.width = Math.max(point.x - fixedLeft, minSize);
+      next.height = Math.max(point.y - fixedTop, minSize);
+      break;
+    }
+  }
+  
+  return next;
+};
+
+/**
+ * Map a pointer on a stroke-padded handle back onto the outline it controls.
+ * Handles sit on the bounding box, half a stroke width outside the shape's geometry,
+ * so without this the shape would grow by that much as soon as a handle is grabbed.
+ * @param {Object} point - The pointer position
+ * @param {string} handle - The handle being dragged
+ * @param {number} inset - How far the handles sit outside the geometry
+ * @returns {Object} - The point on the geometry's edge
+ */
+const insetHandlePoint = (point, handle, inset) => ({
+  x: handle.endsWith('Left') ? point.x + inset : handle.endsWith('Right') ? point.x - inset : point.x,
+  y: handle.startsWith('top') ? point.y + inset : handle.startsWith('bottom') ? point.y - inset : point.y
+});
+
+/**
+ * Resize a box from one of its corners while keeping its aspect ratio.
+ * The corner opposite the handle stays fixed.
+ * @param {Object} box - {x, y, width, height}
+ * @param {string} handle - One of CORNER_HANDLES
+ * @param {Object} point - The new point position
+ * @param {number} minSize - Smallest allowed width and height
+ * @returns {Object} - The resized box
+ */
+const resizeBoxLocked = (box, handle, point, minSize) => {
+  const free = resizeBox(box, handle, point, 0);
+  // Follow whichever side the pointer stretched the most
+  const scale = Math.max(
+    free.width / box.width,
+    free.height / box.height,
+    minSize / Math.min(box.width, box.height)
+  );
+  const width = box.width * scale;
+  const height = box.height * scale;
+
+  return {
+    x: handle.endsWith('Left') ? box.x + box.width - width : box.x,
+    y: handle.startsWith('top') ? box.y + box.height - height : box.y,
+    width,
+    height
+  };
+};
 
 /**
  * Resizes a shape based on handle position
@@ -14,7 +180,37 @@ export function resizeShape(shape, handle, point, dragStart) {
   
   const resized = { ...shape };
   
-  if (shape.type === 'rectangle' || shape.type === 'text') {
+  // Lines are reshaped by dragging one of their points
+  if (isLinearShape(shape)) {
+    const index = getPointHandleIndex(handle);
+    if (index !== null && shape.points[index]) {
+      resized.points = shape.points.map((p, i) => (i === index ? { x: point.x, y: point.y } : p));
+    }
+    return resized;
+  }
+  
+  // Dragging the corner handle along the diagonal sets the corner radius
+  if (handle === 'cornerRadius' && supportsCornerRadius(shape.type)) {
+    const maxRadius = Math.min(Math.abs(shape.width), Math.abs(shape.height)) / 2;
+    const radius = Math.round(((point.x - shape.x) + (point.y - shape.y)) / 2);
+    resized.cornerRadius = Math.max(0, Math.min(radius, maxRadius));
+    return resized;
+  }
+  
+  // Images scale from their corners without distorting
+  if (ASPECT_LOCKED_SHAPE_TYPES.includes(shape.type)) {
+    if (CORNER_HANDLES.includes(handle)) {
+      Object.assign(resized, resizeBoxLocked(
+        { x: shape.x, y: shape.y, width: shape.width, height: shape.height },
+        handle,
+        point,
+        10
+      ));
+    }
+    return resized;
+  }
+  
+  if (shape.type === 'rectangle' || shape.type === 'text' || isPolygonType(shape.type)) {
     // Use the current shape's top-left as the fixed edge base for each handle
     // Set minimum size based on text content or default minimum
     const MIN_SIZE = shape.type === 'text' ? Math.max(20, shape.text?.length * 2 || 20) : 10;
@@ -23,62 +219,16 @@ export function resizeShape(shape, handle, point, dragStart) {
     const originalWidth = shape.width;
     const originalHeight = shape.height;
     
-    switch (handle) {
-      case 'topLeft': {
-        const fixedRight = shape.x + shape.width;
-        const fixedBottom = shape.y + shape.height;
-        resized.x = Math.min(point.x, fixedRight - MIN_SIZE);
-        resized.y = Math.min(point.y, fixedBottom - MIN_SIZE);
-        resized.width = fixedRight - resized.x;
-        resized.height = fixedBottom - resized.y;
-        break;
-      }
-      case 'topCenter': {
-        const fixedBottom = shape.y + shape.height;
-        resized.y = Math.min(point.y, fixedBottom - MIN_SIZE);
-        resized.height = fixedBottom - resized.y;
-        break;
-      }
-      case 'topRight': {
-        const fixedLeft = shape.x;
-        const fixedBottom = shape.y + shape.height;
-        resized.y = Math.min(point.y, fixedBottom - MIN_SIZE);
-        resized.width = Math.max(point.x - fixedLeft, MIN_SIZE);
-        resized.height = fixedBottom - resized.y;
-        break;
-      }
-      case 'middleLeft': {
-        const fixedRight = shape.x + shape.width;
-        resized.x = Math.min(point.x, fixedRight - MIN_SIZE);
-        resized.width = fixedRight - resized.x;
-        break;
-      }
-      case 'middleRight': {
-        const fixedLeft = shape.x;
-        resized.width = Math.max(point.x - fixedLeft, MIN_SIZE);
-        break;
-      }
-      case 'bottomLeft': {
-        const fixedTop = shape.y;
-        const fixedRight = shape.x + shape.width;
-        resized.x = Math.min(point.x, fixedRight - MIN_SIZE);
-        resized.width = fixedRight - resized.x;
-        resized.height = Math.max(point.y - fixedTop, MIN_SIZE);
-        break;
-      }
-      case 'bottomCenter': {
-        const fixedTop = shape.y;
-        resized.height = Math.max(point.y - fixedTop, MIN_SIZE);
-        break;
-      }
-      case 'bottomRight': {
-        const fixedTop = shape.y;
-        const fixedLeft = shape.x;
-        resized.width = Math.max(point.x - fixedLeft, MIN_SIZE);
-        resized.height = Math.max(point.y - fixedTop, MIN_SIZE);
-        break;
-      }
-    }
+    // Text boxes have no stroke around them; other handles sit half a stroke outside
+    const inset = shape.type === 'text' ? 0 : (shape.strokeWidth ?? STROKE_WIDTHS.medium) / 2;
+    
+    const box = resizeBox(
+      { x: shape.x, y: shape.y, width: shape.width, height: shape.height },
+      handle,
+      insetHandlePoint(point, handle, inset),
+      MIN_SIZE
+    );
+    Object.assign(resized, box);
     
     // For text shapes, scale the font size proportionally to the size change
     if (shape.type === 'text') {
@@ -144,31 +294,103 @@ export function resizeShape(shape, handle, point, dragStart) {
       resized.verticalAlign = shape.verticalAlign || 'middle';
     }
   } else if (shape.type === 'circle') {
-    // Handle circle resizing - maintain circularity
-    if ('x' in shape && 'y' in shape && 'radius' in shape) {
-      // Get the center of the circle
-      const center = getCircleCenter(shape);
-      
-      // Calculate distance from center to the point being dragged
-      const dx = point.x - center.x;
-      const dy = point.y - center.y;
-      const newRadius = Math.sqrt(dx * dx + dy * dy);
-      
-      // Ensure minimum radius
-      const finalRadius = Math.max(newRadius, 1);
-      
-      // Update the circle properties
-      resized.radius = finalRadius;
-      
-      // Adjust x,y to maintain center position (x,y is top-left corner)
-      resized.x = center.x - finalRadius;
-      resized.y = center.y - finalRadius;
-    }
+    // Ellipses resize like their bounding box, so each radius can change on its own
+    const box = resizeBox({
+      x: shape.x,
+      y: shape.y,
+      width: shape.radiusX * 2,
+      height: shape.radiusY * 2
+    }, handle, insetHandlePoint(point, handle, (shape.strokeWidth ?? STROKE_WIDTHS.medium) / 2), 2);
+    
+    resized.x = box.x;
+    resized.y = box.y;
+    resized.radiusX = box.width / 2;
+    resized.radiusY = box.height / 2;
   }
   
   return resized;
 }
 
+/**
+ * Map a shape from one box onto another, scaling its geometry along with the box
+ * @param {Object} shape - The shape
+ * @param {Object} from - Box the shape sits in
+ * @param {Object} to - Box to map it onto
+ * @returns {Object} - The scaled shape
+ */
+const scaleShapeToBox = (shape, from, to) => {
+  const scaleX = from.width > 0 ? to.width / from.width : 1;
+  const scaleY = from.height > 0 ? to.height / from.height : 1;
+  const mapX = (x) => to.x + (x - from.x) * scaleX;
+  const mapY = (y) => to.y + (y - from.y) * scaleY;
+  
+  // Point-based shapes (pencil, lines) scale every point
+  if (Array.isArray(shape.points)) {
+    return { ...shape, points: shape.points.map(p => ({ ...p, x: mapX(p.x), y: mapY(p.y) })) };
+  }
+  
+  if (shape.type === 'circle') {
+    return {
+      ...shape,
+      x: mapX(shape.x),
+      y: mapY(shape.y),
+      radiusX: shape.radiusX * scaleX,
+      radiusY: shape.radiusY * scaleY
+    };
+  }
+  
+  const scaled = {
+    ...shape,
+    x: mapX(shape.x),
+    y: mapY(shape.y),
+    width: shape.width * scaleX,
+    height: shape.height * scaleY
+  };
+  // Text keeps fitting its box
+  if (shape.type === 'text') {
+    const fontSize = (shape.fontSize || 16) * Math.min(scaleX, scaleY);
+    scaled.fontSize = Math.max(8, Math.min(200, Math.round(fontSize)));
+  }
+  return scaled;
+};
+
+/**
+ * Resize several shapes together by dragging a handle of their shared bounding box.
+ * Each shape is scaled proportionally, keeping its place within the box.
+ * @param {Array} shapes - The shapes as they were when the drag started
+ * @param {Object} bounds - Their shared bounding box when the drag started
+ * @param {string} handle - The handle being dragged
+ * @param {Object} point - The new point position
+ * @returns {Array} - The resized shapes
+ */
+export function resizeShapes(shapes, bounds, handle, point) {
+  if (!shapes || !bounds || !handle) return shapes;
+  
+  // Images can't be stretched, so a selection with one scales evenly from its corners
+  const isLocked = shapes.some(shape => ASPECT_LOCKED_SHAPE_TYPES.includes(shape.type));
+  if (isLocked && !CORNER_HANDLES.includes(handle)) return shapes;
+  
+  const box = isLocked
+    ? resizeBoxLocked(bounds, handle, point, 10)
+    : resizeBox(bounds, handle, point, 10);
+  return shapes.map(shape => scaleShapeToBox(shape, bounds, box));
+}
+
+/**
+ * Gets the resize handles around the shared bounding box of several shapes
+ * @param {Array} shapes - The selected shapes
+ * @param {Object} bounds - Their shared bounding box
+ * @returns {Array} - Array of handle objects with name, x, and y properties
+ */
+export function getSelectionResizeHandles(shapes, bounds) {
+  if (!bounds) return [];
+  
+  const handles = getBoxHandles(bounds);
+  return shapes.some(shape => ASPECT_LOCKED_SHAPE_TYPES.includes(shape.type))
+    ? handles.filter(handle => CORNER_HANDLES.includes(handle.name))
+    : handles;
+}
+
 /**
  * Determines which resize handle is being clicked
  * @param {Object} point - The point to check
@@ -178,20 +400,10 @@ export function resizeShape(shape, handle, point, dragStart) {
 export function getResizeHandle(point, shape) {
   if (!shape) return null;
   
-  const box = getShapeBoundingBox(shape);
   const HANDLE_SIZE = 12; // Slightly larger hit area than visual size
   
-  // Check each resize handle
-  const handles = [
-    { name: 'topLeft', x: box.x - 5, y: box.y - 5 },
-    { name: 'topCenter', x: box.x + box.width/2, y: box.y - 5 },
-    { name: 'topRight', x: box.x + box.width + 5, y: box.y - 5 },
-    { name: 'middleLeft', x: box.x - 5, y: box.y + box.height/2 },
-    { name: 'middleRight', x: box.x + box.width + 5, y: box.y + box.height/2 },
-    { name: 'bottomLeft', x: box.x - 5, y: box.y + box.height + 5 },
-    { name: 'bottomCenter', x: box.x + box.width/2, y: box.y + box.height + 5 },
-    { name: 'bottomRight', x: box.x + box.width + 5, y: box.y + box.height + 5 }
-  ];
+  // Check the same handles that are drawn around the shape
+  const handles = getShapeResizeHandles(shape);
   
   for (const handle of handles) {
     if (
@@ -206,17 +418,11 @@ export function getResizeHandle(point, shape) {
 }
 
 /**
- * Gets the resize handles for a shape based on its type and bounding box
- * @param {Object} shape - The shape to get handles for
+ * The 8 resize handles around the perimeter of a box
+ * @param {Object} box - {x, y, width, height}
  * @returns {Array} - Array of handle objects with name, x, and y properties
  */
-export function getShapeResizeHandles(shape) {
-  if (!shape) return [];
-  
-  const box = getShapeBoundingBox(shape);
-  
-  // Standard 8 handles around the perimeter of the bounding box
-  // No internal handles for any shape type
+export function getBoxHandles(box) {
   return [
     // Corner handles
     { name: 'topLeft', x: box.x, y: box.y },
@@ -230,4 +436,47 @@ export function getShapeResizeHandles(shape) {
     { name: 'bottomCenter', x: box.x + box.width/2, y: box.y + box.height },
     { name: 'middleLeft', x: box.x, y: box.y + box.height/2 }
   ];
-} 
\ No newline at end of file
+}
+
+/**
+ * Gets the resize handles for a shape based on its type and bounding box
+ * @param {Object} shape - The shape to get handles for
+ * @returns {Array} - Array of handle objects with name, x, and y properties
+ */
+export function getShapeResizeHandles(shape) {
+  if (!shape) return [];
+  
+  // Lines get a handle on each point instead of a box around them
+  if (isLinearShape(shape)) {
+    const handles = shape.points.map((p, index) => ({ name: `point-${index}`, x: p.x, y: p.y }));
+
+    // Dragging the middle of a segment bends it into an elbow
+    if (supportsElbows(shape)) {
+      shape.points.slice(0, -1).forEach((p, index) => {
+        const next = shape.points[index + 1];
+        handles.push({ name: `midpoint-${index}`, x: (p.x + next.x) / 2, y: (p.y + next.y) / 2 });
+      });
+    }
+
+    return handles;
+  }
+  
+  const box = getShapeBoundingBox(shape);
+  const handles = getBoxHandles(box);
+  
+  // Edge handles would stretch an aspect-locked shape
+  if (ASPECT_LOCKED_SHAPE_TYPES.includes(shape.type)) {
+    return handles.filter(handle => CORNER_HANDLES.includes(handle.name));
+  }
+  
+  // Rectangles big enough to fit it get a corner radius handle inside the top-left corner
+  if (
+    supportsCornerRadius(shape.type) &&
+    Math.min(shape.width, shape.height) >= CORNER_HANDLE_MIN_OFFSET * 3
+  ) {
+    const offset = Math.max(getCornerRadius(shape), CORNER_HANDLE_MIN_OFFSET);
+    handles.push({ name: 'cornerRadius', x: shape.x + offset, y: shape.y + offset });
+  }
+  
+  return handles;
+}
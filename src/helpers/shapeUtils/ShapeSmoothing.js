@@ -0,0 +1,82 @@
+import { distanceToSegment } from './ShapeGeometry';
+
+/**
+ * Freehand stroke smoothing
+ * Pencil strokes are simplified once when drawn (Ramer-Douglas-Peucker) and rendered as
+ * Catmull-Rom curves through the remaining points, so they stay small on disk and look smooth.
+ */
+
+// Shapes drawn as smooth curves through their points
+export const SMOOTHED_SHAPE_TYPES = ['pencil'];
+
+// Smoothing strength from 0 (straight segments) to 1 (full Catmull-Rom curve)
+export const DEFAULT_SMOOTHING = 0.5;
+
+// How far (in screen pixels) a dropped point may be from the simplified stroke
+export const SIMPLIFY_TOLERANCE = 1.5;
+
+/**
+ * Check whether a shape type is drawn as a smooth curve
+ * @param {string} type - Shape type or tool id
+ * @returns {boolean}
+ */
+export const supportsSmoothing = (type) => SMOOTHED_SHAPE_TYPES.includes(type);
+
+/**
+ * Drop points that barely change the shape of a polyline (Ramer-Douglas-Peucker)
+ * @param {Array} points - Polyline points
+ * @param {number} tolerance - Largest distance a dropped point may be from the simplified line
+ * @returns {Array} - The points that are kept, in order; first and last are always kept
+ */
+export const simplifyPoints = (points, tolerance) => {
+  if (!points || points.length < 3 || !(tolerance > 0)) return points ? [...points] : [];
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Ranges still to simplify; a stack instead of recursion so long strokes can't overflow
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [start, end] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = 0;
+    for (let i = start + 1; i < end; i++) {
+      const distance = distanceToSegment(points[i], points[start], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[farthest] = true;
+      ranges.push([start, farthest], [farthest, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Cubic Bezier segments of a Catmull-Rom curve through a list of points
+ * @param {Array} points - Points the curve passes through
+ * @param {number} smoothing - Strength from 0 (straight segments) to 1
+ * @returns {Array} - One {cp1, cp2, to} segment per pair of points, starting at points[0]
+ */
+export const getSmoothCurve = (points, smoothing = DEFAULT_SMOOTHING) => {
+  if (!points || points.length < 2) return [];
+
+  const strength = Math.max(0, Math.min(1, smoothing)) / 6;
+  return points.slice(1).map((to, index) => {
+    // The tangent at each point follows the line between its neighbours
+    const p0 = points[index - 1] || points[index];
+    const p1 = points[index];
+    const p3 = points[index + 2] || to;
+    return {
+      cp1: { x: p1.x + (to.x - p0.x) * strength, y: p1.y + (to.y - p0.y) * strength },
+      cp2: { x: to.x - (p3.x - p1.x) * strength, y: to.y - (p3.y - p1.y) * strength },
+      to: { x: to.x, y: to.y }
+    };
+  });
+};
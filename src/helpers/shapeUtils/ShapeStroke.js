@@ -0,0 +1,163 @@
+import { getSmoothCurve, DEFAULT_SMOOTHING } from './ShapeSmoothing';
+
+/**
+ * Pressure-sensitive freehand strokes
+ * Pencil points carry a `pressure` from 0 to 1. Pens report it; for mice and fingers it is
+ * simulated from how fast the pointer moves. Solid strokes are drawn as a filled outline whose
+ * width follows the pressure along the stroke.
+ */
+
+// Pressure of points that don't have one; draws the stroke at exactly its stroke width
+export const DEFAULT_PRESSURE = 0.5;
+
+// Stroke width multiplier at no pressure and at full pressure
+const MIN_WIDTH_SCALE = 0.3;
+const MAX_WIDTH_SCALE = 1.7;
+
+// Simulated pressure ranges from slow (thicker) to fast (thinner) pointer movement
+const SLOW_PRESSURE = 0.6;
+const FAST_PRESSURE = 0.2;
+
+// Pointer speed (screen pixels between samples) at which the simulated pressure bottoms out
+const FAST_SPEED = 40;
+
+// How much of the gap to the new simulated pressure is closed per sample, so width changes gradually
+const PRESSURE_EASING = 0.3;
+
+// Most outline points sampled along each curve segment, and around each round end cap
+const MAX_SEGMENT_STEPS = 8;
+const CAP_STEPS = 8;
+
+/**
+ * Pressure of a point, falling back to the default for strokes drawn before pressure was recorded
+ * @param {Object} point - Stroke point
+ * @returns {number}
+ */
+export const getPointPressure = (point) => {
+  const pressure = point?.pressure;
+  return typeof pressure === 'number' && Number.isFinite(pressure)
+    ? Math.max(0, Math.min(1, pressure))
+    : DEFAULT_PRESSURE;
+};
+
+/**
+ * Simulate pen pressure from pointer speed: slow movement draws thicker, fast movement thinner
+ * @param {Object|null} previous - Previous stroke point, or null for the first point
+ * @param {Object} point - New point in scene coordinates
+ * @param {number} zoomLevel - Current zoom, so speed is measured on screen
+ * @returns {number} - Pressure from 0 to 1
+ */
+export const simulatePressure = (previous, point, zoomLevel = 1) => {
+  if (!previous) return DEFAULT_PRESSURE;
+
+  const speed = Math.hypot(point.x - previous.x, point.y - previous.y) * zoomLevel;
+  const t = Math.min(1, speed / FAST_SPEED);
+  const target = SLOW_PRESSURE + (FAST_PRESSURE - SLOW_PRESSURE) * t;
+  const last = getPointPressure(previous);
+  return last + (target - last) * PRESSURE_EASING;
+};
+
+/**
+ * Width of a stroke at a given pressure
+ * @param {number} pressure - Pressure from 0 to 1
+ * @param {number} strokeWidth - Stroke width at the default pressure
+ * @returns {number}
+ */
+export const getPressureWidth = (pressure, strokeWidth) => {
+  return strokeWidth * (MIN_WIDTH_SCALE + (MAX_WIDTH_SCALE - MIN_WIDTH_SCALE) * pressure);
+};
+
+/**
+ * Points along half a circle, used for the round ends of a stroke
+ */
+const capPoints = (center, radius, startAngle) => {
+  const points = [];
+  for (let step = 1; step < CAP_STEPS; step++) {
+    const angle = startAngle - Math.PI * (step / CAP_STEPS);
+    points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+  }
+  return points;
+};
+
+/**
+ * Sample the smoothed center line of a stroke, interpolating pressure along each segment
+ */
+const sampleStroke = (points, strokeWidth, smoothing) => {
+  const samples = [{ x: points[0].x, y: points[0].y, pressure: getPointPressure(points[0]) }];
+
+  getSmoothCurve(points, smoothing).forEach(({ cp1, cp2, to }, index) => {
+    const from = points[index];
+    const fromPressure = getPointPressure(from);
+    const toPressure = getPointPressure(points[index + 1]);
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.max(1, Math.min(MAX_SEGMENT_STEPS, Math.ceil(length / Math.max(strokeWidth, 1))));
+
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      const mt = 1 - t;
+      const a = mt * mt * mt;
+      const b = 3 * mt * mt * t;
+      const c = 3 * mt * t * t;
+      const d = t * t * t;
+      const sample = {
+        x: a * from.x + b * cp1.x + c * cp2.x + d * to.x,
+        y: a * from.y + b * cp1.y + c * cp2.y + d * to.y,
+        pressure: fromPressure + (toPressure - fromPressure) * t
+      };
+
+      // Samples on top of each other have no direction to offset along
+      const last = samples[samples.length - 1];
+      if (Math.hypot(sample.x - last.x, sample.y - last.y) > 0.01) {
+        samples.push(sample);
+      }
+    }
+  });
+
+  return samples;
+};
+
+/**
+ * Outline of a variable-width stroke with round ends, to be filled
+ * @param {Array} points - Stroke points, optionally with `pressure`
+ * @param {number} strokeWidth - Stroke width at the default pressure
+ * @param {number} smoothing - Smoothing strength of the center line, see getSmoothCurve
+ * @returns {Array} - Closed polygon around the stroke
+ */
+export const getStrokeOutline = (points, strokeWidth, smoothing = DEFAULT_SMOOTHING) => {
+  if (!points || points.length === 0) return [];
+
+  const samples = sampleStroke(points, strokeWidth, smoothing);
+  const radii = samples.map(sample => getPressureWidth(sample.pressure, strokeWidth) / 2);
+
+  // A stroke that never moved is a dot
+  if (samples.length === 1) {
+    return [...capPoints(samples[0], radii[0], 0), ...capPoints(samples[0], radii[0], Math.PI)];
+  }
+
+  const left = [];
+  const right = [];
+  samples.forEach((sample, i) => {
+    // Offset along the normal of the direction through the neighbouring samples
+    const prev = samples[i - 1] || sample;
+    const next = samples[i + 1] || sample;
+    const dx = next.x - prev.x;
+    const dy = next.y - prev.y;
+    const length = Math.hypot(dx, dy) || 1;
+    const nx = (-dy / length) * radii[i];
+    const ny = (dx / length) * radii[i];
+    left.push({ x: sample.x + nx, y: sample.y + ny });
+    right.push({ x: sample.x - nx, y: sample.y - ny });
+  });
+
+  const last = samples.length - 1;
+  const endAngle = Math.atan2(samples[last].y - samples[last - 1].y, samples[last].x - samples[last - 1].x);
+  const startAngle = Math.atan2(samples[1].y - samples[0].y, samples[1].x - samples[0].x);
+
+  // Down the left side, around the end, back up the right side and around the start
+  return [
+    ...left,
+    ...capPoints(samples[last], radii[last], endAngle + Math.PI / 2),
+    ...right.reverse(),
+    ...capPoints(samples[0], radii[0], startAngle - Math.PI / 2)
+  ];
+};
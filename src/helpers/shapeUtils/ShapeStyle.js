@@ -0,0 +1,141 @@
+/**
+ * Shape style helpers
+ * Which shapes take which style properties, dash patterns and the geometry behind hatched fills
+ */
+
+// Shapes with a closed outline that can be filled
+export const CLOSED_SHAPE_TYPES = ['rectangle', 'circle', 'triangle', 'diamond', 'polygon', 'star'];
+
+// Shapes drawn with a stroke whose width and dash style can change
+export const STROKED_SHAPE_TYPES = [
+  'rectangle',
+  'circle',
+  'triangle',
+  'diamond',
+  'polygon',
+  'star',
+  'pencil',
+  'line',
+  'arrow'
+];
+
+// Shapes drawn from their own pixels, so the color setting doesn't apply to them
+export const UNCOLORED_SHAPE_TYPES = ['image'];
+
+// Preset stroke widths in scene units
+export const STROKE_WIDTHS = {
+  thin: 1,
+  medium: 2,
+  bold: 4
+};
+
+export const MAX_STROKE_WIDTH = 20;
+
+export const STROKE_STYLES = ['solid', 'dashed', 'dotted'];
+
+export const FILL_STYLES = ['none', 'solid', 'hatch', 'cross-hatch'];
+
+// Distance between hatch lines in scene units
+export const HATCH_GAP = 8;
+
+// Shapes whose corners can be rounded
+export const ROUNDED_SHAPE_TYPES = ['rectangle'];
+
+// Radius a sharp rectangle gets when switched to round corners
+export const DEFAULT_CORNER_RADIUS = 16;
+
+/**
+ * Check whether a shape type is drawn in the chosen color
+ * @param {string} type - Shape type or tool id
+ * @returns {boolean}
+ */
+export const supportsColor = (type) => !UNCOLORED_SHAPE_TYPES.includes(type);
+
+/**
+ * Check whether a shape type can carry a fill
+ * @param {string} type - Shape type or tool id
+ * @returns {boolean}
+ */
+export const supportsFill = (type) => CLOSED_SHAPE_TYPES.includes(type);
+
+/**
+ * Check whether a shape type has a configurable stroke
+ * @param {string} type - Shape type or tool id
+ * @returns {boolean}
+ */
+export const supportsStroke = (type) => STROKED_SHAPE_TYPES.includes(type);
+
+/**
+ * Check whether a shape type can have rounded corners
+ * @param {string} type - Shape type or tool id
+ * @returns {boolean}
+ */
+export const supportsCornerRadius = (type) => ROUNDED_SHAPE_TYPES.includes(type);
+
+/**
+ * Corner radius a rectangle is actually drawn with: never more than half its shorter side
+ * @param {Object} shape - The shape
+ * @returns {number} - Radius in scene units; 0 for sharp corners
+ */
+export const getCornerRadius = (shape) => {
+  if (!shape || !supportsCornerRadius(shape.type) || !(shape.cornerRadius > 0)) return 0;
+  return Math.min(shape.cornerRadius, Math.abs(shape.width) / 2, Math.abs(shape.height) / 2);
+};
+
+/**
+ * Dash pattern for a stroke style, scaled with the stroke width so thick
+ * dashes don't run together
+ * @param {string} strokeStyle - 'solid', 'dashed' or 'dotted'
+ * @param {number} strokeWidth - Stroke width
+ * @returns {Array<number>} - Dash pattern for setLineDash / stroke-dasharray; empty for solid
+ */
+export const getDashPattern = (strokeStyle, strokeWidth = STROKE_WIDTHS.medium) => {
+  switch (strokeStyle) {
+    case 'dashed':
+      return [strokeWidth * 4, strokeWidth * 3];
+    case 'dotted':
+      return [strokeWidth, strokeWidth * 2];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Check whether a shape is actually filled (as opposed to only outlined)
+ * @param {Object} shape - The shape
+ * @returns {boolean}
+ */
+export const hasFill = (shape) => (
+  !!shape && supportsFill(shape.type) && !!shape.fillStyle && shape.fillStyle !== 'none'
+);
+
+/**
+ * Build the diagonal lines of a hatched fill covering a bounding box.
+ * The lines overshoot the box, so callers clip them to the shape outline.
+ * @param {Object} bounds - {x, y, width, height}
+ * @param {string} fillStyle - 'hatch' or 'cross-hatch'
+ * @param {number} gap - Distance between lines
+ * @returns {Array} - Line segments as [start, end] point pairs
+ */
+export const getHatchLines = (bounds, fillStyle, gap = HATCH_GAP) => {
+  const { x, y, width, height } = bounds;
+  const lines = [];
+
+  for (let offset = -height; offset <= width; offset += gap) {
+    // Bottom-left to top-right
+    lines.push([
+      { x: x + offset, y: y + height },
+      { x: x + offset + height, y }
+    ]);
+
+    if (fillStyle === 'cross-hatch') {
+      // Top-left to bottom-right
+      lines.push([
+        { x: x + offset, y },
+        { x: x + offset + height, y: y + height }
+      ]);
+    }
+  }
+
+  return lines;
+};
@@ -1,13 +1,118 @@
 // Export all shape utility functions from a single entry point
 
 // Shape detection utilities
-import { isPointInShape, getShapeBoundingBox } from './ShapeDetection';
+import { isPointInShape, getShapeBoundingBox, getShapeOutlinePoints } from './ShapeDetection';
 
 // Shape resize utilities
-import { resizeShape, getResizeHandle, getShapeResizeHandles } from './ShapeResize';
+import {
+  resizeShape,
+  getResizeHandle,
+  getShapeResizeHandles,
+  getBoxHandles,
+  resizeShapes,
+  getSelectionResizeHandles,
+  getPointHandleIndex,
+  getMidpointHandleIndex,
+  addElbowPoint
+} from './ShapeResize';
 
 // Shape geometry utilities
-import { generateId, scaleCircle, getCircleCenter, calculateTextMetrics } from './ShapeGeometry';
+import {
+  generateId,
+  scaleCircle,
+  getCircleCenter,
+  calculateTextMetrics,
+  LINEAR_SHAPE_TYPES,
+  ELBOW_SHAPE_TYPES,
+  isLinearShape,
+  supportsElbows,
+  distanceToSegment,
+  distanceBetweenSegments,
+  getRoundedRectDistance
+} from './ShapeGeometry';
+
+// Shape style utilities
+import {
+  CLOSED_SHAPE_TYPES,
+  STROKED_SHAPE_TYPES,
+  UNCOLORED_SHAPE_TYPES,
+  STROKE_WIDTHS,
+  MAX_STROKE_WIDTH,
+  STROKE_STYLES,
+  FILL_STYLES,
+  HATCH_GAP,
+  ROUNDED_SHAPE_TYPES,
+  DEFAULT_CORNER_RADIUS,
+  supportsColor,
+  supportsFill,
+  supportsStroke,
+  supportsCornerRadius,
+  getCornerRadius,
+  getDashPattern,
+  hasFill,
+  getHatchLines
+} from './ShapeStyle';
+
+// Arrowhead utilities
+import {
+  ARROWHEAD_TYPES,
+  ARROW_SHAPE_TYPES,
+  supportsArrowheads,
+  getArrowheadSize,
+  getArrowhead,
+  getArrowheads
+} from './ShapeArrowhead';
+
+// Polygon shape utilities
+import {
+  POLYGON_SHAPE_TYPES,
+  SIDED_SHAPE_TYPES,
+  MIN_SIDES,
+  MAX_SIDES,
+  DEFAULT_SIDES,
+  isPolygonType,
+  supportsSides,
+  getPolygonVertices,
+  isPointInPolygon
+} from './ShapePolygon';
+
+// Arrow binding utilities
+import {
+  BINDABLE_SHAPE_TYPES,
+  BINDING_DISTANCE,
+  isBindableShape,
+  findBindableShape,
+  getBindingPoint,
+  updateArrowBindings,
+  updateBoundArrows,
+  bindArrow
+} from './ShapeBinding';
+
+// Eraser utilities
+import {
+  ERASER_RADIUS,
+  splitPencilStroke,
+  eraseShapes
+} from './ShapeErase';
+
+// Freehand smoothing utilities
+import {
+  SMOOTHED_SHAPE_TYPES,
+  DEFAULT_SMOOTHING,
+  SIMPLIFY_TOLERANCE,
+  supportsSmoothing,
+  simplifyPoints,
+  getSmoothCurve
+} from './ShapeSmoothing';
+
+// Pressure-sensitive stroke utilities
+import {
+  DEFAULT_PRESSURE,
+  getPointPressure,
+  simulatePressure,
+  getPressureWidth,
+  getStrokeOutline
+} from './ShapeStroke';
 
 // Text shape utilities
 import {
@@ -28,17 +133,100 @@ export {
   // Shape detection
   isPointInShape,
   getShapeBoundingBox,
+  getShapeOutlinePoints,
   
   // Shape resize
   resizeShape,
   getResizeHandle,
   getShapeResizeHandles,
+  getBoxHandles,
+  resizeShapes,
+  getSelectionResizeHandles,
+  getPointHandleIndex,
+  getMidpointHandleIndex,
+  addElbowPoint,
   
   // Shape geometry
   generateId,
   scaleCircle,
   getCircleCenter,
   calculateTextMetrics,
+  LINEAR_SHAPE_TYPES,
+  ELBOW_SHAPE_TYPES,
+  isLinearShape,
+  supportsElbows,
+  distanceToSegment,
+  distanceBetweenSegments,
+  getRoundedRectDistance,
+  
+  // Shape style
+  CLOSED_SHAPE_TYPES,
+  STROKED_SHAPE_TYPES,
+  UNCOLORED_SHAPE_TYPES,
+  STROKE_WIDTHS,
+  MAX_STROKE_WIDTH,
+  STROKE_STYLES,
+  FILL_STYLES,
+  HATCH_GAP,
+  ROUNDED_SHAPE_TYPES,
+  DEFAULT_CORNER_RADIUS,
+  supportsColor,
+  supportsFill,
+  supportsStroke,
+  supportsCornerRadius,
+  getCornerRadius,
+  getDashPattern,
+  hasFill,
+  getHatchLines,
+  
+  // Arrowheads
+  ARROWHEAD_TYPES,
+  ARROW_SHAPE_TYPES,
+  supportsArrowheads,
+  getArrowheadSize,
+  getArrowhead,
+  getArrowheads,
+  
+  // Polygon shapes
+  POLYGON_SHAPE_TYPES,
+  SIDED_SHAPE_TYPES,
+  MIN_SIDES,
+  MAX_SIDES,
+  DEFAULT_SIDES,
+  isPolygonType,
+  supportsSides,
+  getPolygonVertices,
+  isPointInPolygon,
+  
+  // Arrow bindings
+  BINDABLE_SHAPE_TYPES,
+  BINDING_DISTANCE,
+  isBindableShape,
+  findBindableShape,
+  getBindingPoint,
+  updateArrowBindings,
+  updateBoundArrows,
+  bindArrow,
+  
+  // Eraser
+  ERASER_RADIUS,
+  splitPencilStroke,
+  eraseShapes,
+  
+  // Freehand smoothing
+  SMOOTHED_SHAPE_TYPES,
+  DEFAULT_SMOOTHING,
+  SIMPLIFY_TOLERANCE,
+  supportsSmoothing,
+  simplifyPoints,
+  getSmoothCurve,
+  
+  // Pressure-sensitive strokes
+  DEFAULT_PRESSURE,
+  getPointPressure,
+  simulatePressure,
+  getPressureWidth,
+  getStrokeOutline,
   
   // Text utilities
   createText,
@@ -1,6 +1,6 @@
 import DirectTextInput from '../DirectTextInput';
 import { calculateTextDimensions } from './TextGeometry';
-import { createText } from '../drawingTools';
+import { createText, getStyleProps, DEFAULT_SHAPE_STYLE } from '../drawingTools';
 
 /**
  * Initialize text input mode at the given position.
@@ -123,10 +123,11 @@ export function confirmTextInput(
   shapes,
   setShapes,
   setSelectedShape,
-  setUndoHistory,
+  recordHistory,
   setIsTypingText,
   setIsEditingText,
-  setActiveTool
+  setActiveTool,
+  shapeStyle = DEFAULT_SHAPE_STYLE
 ) {
   // Skip if there's no text position (invalid state)
   if (!textPosition) {
@@ -176,10 +177,11 @@ export function confirmTextInput(
 
   let createdOrUpdatedShape = null;
 
-  setShapes(prevShapes => {
-    // Save undo state using the previous shapes
-    setUndoHistory(undoPrev => [...undoPrev, prevShapes]);
+  // Save undo state before the shapes change
+  const isUpdatingText = shapes.some(shape => shape.type === 'text' && shape.isEditing);
+  recordHistory(isUpdatingText ? 'Edit text' : 'Add text');
 
+  setShapes(prevShapes => {
     // Check if we're editing an existing text shape
     const hasEditing = prevShapes.some(shape => shape.type === 'text' && shape.isEditing);
 
@@ -225,7 +227,7 @@ export function confirmTextInput(
         width: Math.max(dimensions.width, textPosition.width),
         height: Math.max(dimensions.height, textPosition.height),
         fontSize: initialFontSize, // Use the calculated font size
-        color: '#f54a00', // Default color
+        ...getStyleProps(shapeStyle, 'text'), // Current stroke color
         align: 'center', // Center text by default
         verticalAlign: 'middle', // Center vertically by default
         isEditing: false,
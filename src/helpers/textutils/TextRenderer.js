@@ -1,5 +1,5 @@
 import DirectTextInput from '../DirectTextInput';
-import { DRAWING_COLOR } from '../drawingTools';
+import { DEFAULT_SHAPE_STYLE } from '../drawingTools';
 
 /**
  * Draws the active text input with proper styling on the canvas.
@@ -10,6 +10,7 @@ import { DRAWING_COLOR } from '../drawingTools';
  * @param {boolean} isEditingText - Whether we're editing existing text or creating new
  * @param {number} zoomLevel - Current zoom level of the canvas
  * @param {Object} canvasOffset - Current offset of the canvas view
+ * @param {Object} shapeStyle - Current style used for new text
  */
 export function drawActiveText(
   ctx,
@@ -18,7 +19,8 @@ export function drawActiveText(
   originalShapePos,
   isEditingText,
   zoomLevel,
-  canvasOffset
+  canvasOffset,
+  shapeStyle = DEFAULT_SHAPE_STYLE
 ) {
   if (!textPosition) return;
   
@@ -36,8 +38,8 @@ export function drawActiveText(
     align: isEditingText && originalShapePos.current?.align ? originalShapePos.current.align : 'left'
   };
   
-  // Get color from original shape if editing, or use default
-  const color = isEditingText && originalShapePos.current?.color ? originalShapePos.current.color : DRAWING_COLOR;
+  // Get color from original shape if editing, or use the current stroke color
+  const color = isEditingText && originalShapePos.current?.color ? originalShapePos.current.color : shapeStyle.color;
   
   // Use DirectTextInput with consistent stable dimensions
   // Make sure the box doesn't constantly change size during typing
@@ -0,0 +1,186 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { createHistoryEntry, applyHistoryState } from '../helpers/historyUtils';
+
+// Maximum number of undo steps kept in memory
+export const MAX_HISTORY_ENTRIES = 100;
+
+/**
+ * Undo/redo history for the shapes array.
+ *
+ * Changes are recorded as transactions: call `recordHistory(label)` right before
+ * updating shapes. Continuous gestures (drags, resizes) pass a `key` so every
+ * update of the gesture coalesces into one entry, and call `endHistoryChange()`
+ * when the gesture ends.
+ *
+ * @param {Array} shapes - Current shapes array
+ * @param {Function} setShapes - Shapes state setter
+ * @param {number} limit - Maximum number of undo entries
+ * @returns {Object} - History API and state
+ */
+export default function useHistory(shapes, setShapes, limit = MAX_HISTORY_ENTRIES) {
+  const shapesRef = useRef(shapes);
+  const pendingRef = useRef(null);
+  const [stacks, setStacks] = useState({ undo: [], redo: [] });
+  const stacksRef = useRef(stacks);
+  // Bumped when a transaction ends so it's finalized after the shape updates render
+  const [commitRequest, setCommitRequest] = useState(0);
+
+  const updateStacks = useCallback((next) => {
+    stacksRef.current = next;
+    setStacks(next);
+  }, []);
+
+  // Turn the open transaction into an undo entry
+  const finalizePending = useCallback((currentShapes) => {
+    const pending = pendingRef.current;
+    if (!pending) return;
+    pendingRef.current = null;
+
+    const entry = createHistoryEntry(pending.base, currentShapes, pending.label);
+    if (!entry) return;
+
+    const { undo } = stacksRef.current;
+    // A new edit invalidates everything that could have been redone
+    updateStacks({
+      undo: [...undo, entry].slice(-limit),
+      redo: []
+    });
+  }, [limit, updateStacks]);
+
+  useEffect(() => {
+    shapesRef.current = shapes;
+    if (pendingRef.current?.ended) {
+      finalizePending(shapes);
+    }
+  }, [shapes, commitRequest, finalizePending]);
+
+  /**
+   * Start recording a change. Must be called before the shapes are updated.
+   * @param {string} label - Description shown for the entry, e.g. "Move rectangle"
+   * @param {Object} options - {key}: changes with the same key coalesce into one entry
+   */
+  const recordHistory = useCallback((label, options = {}) => {
+    const { key = null } = options;
+    const pending = pendingRef.current;
+
+    // Still inside the same continuous gesture
+    if (pending && key !== null && pending.key === key && !pending.ended) {
+      return;
+    }
+
+    if (pending) {
+      finalizePending(shapesRef.current);
+    }
+
+    pendingRef.current = {
+      label,
+      key,
+      base: shapesRef.current,
+      // One-off changes end immediately; keyed gestures end with endHistoryChange
+      ended: key === null
+    };
+
+    if (key === null) {
+      setCommitRequest(n => n + 1);
+    }
+  }, [finalizePending]);
+
+  /**
+   * Close the current continuous gesture (e.g. on mouse up)
+   */
+  const endHistoryChange = useCallback(() => {
+    if (pendingRef.current && !pendingRef.current.ended) {
+      pendingRef.current.ended = true;
+      setCommitRequest(n => n + 1);
+    }
+  }, []);
+
+  const undo = useCallback(() => {
+    finalizePending(shapesRef.current);
+
+    const { undo: undoStack, redo: redoStack } = stacksRef.current;
+    if (undoStack.length === 0) return false;
+
+    const entry = undoStack[undoStack.length - 1];
+    const nextShapes = applyHistoryState(shapesRef.current, entry.before);
+    // Keep the ref current so repeated presses before the next render chain correctly
+    shapesRef.current = nextShapes;
+    setShapes(nextShapes);
+    updateStacks({
+      undo: undoStack.slice(0, -1),
+      redo: [...redoStack, entry]
+    });
+    return true;
+  }, [finalizePending, setShapes, updateStacks]);
+
+  const redo = useCallback(() => {
+    finalizePending(shapesRef.current);
+
+    const { undo: undoStack, redo: redoStack } = stacksRef.current;
+    if (redoStack.length === 0) return false;
+
+    const entry = redoStack[redoStack.length - 1];
+    const nextShapes = applyHistoryState(shapesRef.current, entry.after);
+    // Keep the ref current so repeated presses before the next render chain correctly
+    shapesRef.current = nextShapes;
+    setShapes(nextShapes);
+    updateStacks({
+      undo: [...undoStack, entry],
+      redo: redoStack.slice(0, -1)
+    });
+    return true;
+  }, [finalizePending, setShapes, updateStacks]);
+
+  /**
+   * Undo or redo as many steps as needed to reach a point in the timeline
+   * @param {number} position - 0 for the initial state, N for after the Nth entry
+   * @returns {boolean} - Whether the shapes changed
+   */
+  const jumpToHistory = useCallback((position) => {
+    finalizePending(shapesRef.current);
+
+    let { undo: undoStack, redo: redoStack } = stacksRef.current;
+    const total = undoStack.length + redoStack.length;
+    const target = Math.max(0, Math.min(position, total));
+    if (target === undoStack.length) return false;
+
+    let nextShapes = shapesRef.current;
+
+    while (undoStack.length > target) {
+      const entry = undoStack[undoStack.length - 1];
+      nextShapes = applyHistoryState(nextShapes, entry.before);
+      undoStack = undoStack.slice(0, -1);
+      redoStack = [...redoStack, entry];
+    }
+
+    while (undoStack.length < target) {
+      const entry = redoStack[redoStack.length - 1];
+      nextShapes = applyHistoryState(nextShapes, entry.after);
+      redoStack = redoStack.slice(0, -1);
+      undoStack = [...undoStack, entry];
+    }
+
+    shapesRef.current = nextShapes;
+    setShapes(nextShapes);
+    updateStacks({ undo: undoStack, redo: redoStack });
+    return true;
+  }, [finalizePending, setShapes, updateStacks]);
+
+  const clearHistory = useCallback(() => {
+    pendingRef.current = null;
+    updateStacks({ undo: [], redo: [] });
+  }, [updateStacks]);
+
+  return {
+    recordHistory,
+    endHistoryChange,
+    undo,
+    redo,
+    jumpToHistory,
+    clearHistory,
+    undoStack: stacks.undo,
+    redoStack: stacks.redo,
+    canUndo: stacks.undo.length > 0,
+    canRedo: stacks.redo.length > 0
+  };
+}